@@ -0,0 +1,78 @@
+// DocFlow AI - Document Access Layer
+// Every page reads documents and audit entries through here, so lists, direct
+// lookups and audit trails honour view_own_documents / view_all_documents
+
+const Access = {
+    // Can the user see this document?
+    canView(doc, user = Auth.getCurrentUser()) {
+        if (!doc || !user) return false;
+
+        // Every document of a type in scope
+        if (Auth.roleHasPermission(user.role, 'view_all_documents', doc)) return true;
+
+        // Reviewers need to see what they are allowed to review
+        if (Auth.roleHasPermission(user.role, 'review_document', doc)) return true;
+
+        // Own uploads
+        return doc.uploadedBy === user.id && Auth.roleHasPermission(user.role, 'view_own_documents');
+    },
+
+    // Visible documents
+    getDocuments() {
+        const user = Auth.getCurrentUser();
+        return Storage.getDocuments().filter(doc => this.canView(doc, user));
+    },
+
+    // Direct lookup; denied lookups return null and are audited
+    getDocumentById(docId) {
+        const doc = Storage.getDocumentById(docId);
+        if (!doc) return null;
+
+        if (!this.canView(doc)) {
+            Audit.log({
+                action: Audit.Actions.ACCESS_DENIED,
+                documentId: doc.id,
+                details: 'Blocked attempt to open a document outside the user\'s access'
+            });
+            return null;
+        }
+        return doc;
+    },
+
+    getDocumentsByStatus(status) {
+        return this.getDocuments().filter(d => d.status === status);
+    },
+
+    // Visible documents uploaded by a given user
+    getDocumentsByUser(userId) {
+        return this.getDocuments().filter(d => d.uploadedBy === userId);
+    },
+
+    // Storage.getStats() restricted to what the user can see
+    getStats() {
+        return {
+            ...Storage.getStats(this.getDocuments()),
+            totalLogs: this.getAuditLogs().length
+        };
+    },
+
+    // Audit entries about invisible documents are hidden; entries not tied to
+    // a document need view_audit_logs unless they are the user's own
+    getAuditLogs() {
+        const user = Auth.getCurrentUser();
+        if (!user) return [];
+
+        const documents = new Map(Storage.getDocuments().map(d => [d.id, d]));
+        const seesAllTypes = Auth.getRole(user.role)?.permissions?.view_all_documents === '*';
+        const seesSystemLogs = Auth.roleHasPermission(user.role, 'view_audit_logs');
+
+        return Storage.getAuditLogs().filter(log => {
+            if (log.documentId) {
+                const doc = documents.get(log.documentId);
+                // Entries of deleted documents stay visible to unrestricted viewers only
+                return doc ? this.canView(doc, user) : seesAllTypes;
+            }
+            return seesSystemLogs || log.userId === user.id;
+        });
+    }
+};
@@ -0,0 +1,255 @@
+// DocFlow AI - Review Assignment
+// Hands documents awaiting review to reviewers and lets reviewers claim them,
+// so two people never work on the same document at once.
+//
+// assignedTo is the reviewer whose queue a document sits in. A claim is a
+// short lock a reviewer takes with the Claim button; it expires on its own.
+// Acting on a document needs the claim, or the assignment while nobody holds
+// a claim.
+
+const Assignment = {
+    // Override through Storage settings under `assignment`
+    DEFAULTS: {
+        strategy: 'least-loaded', // or 'round-robin'
+        claimMinutes: 30
+    },
+
+    STRATEGIES: {
+        'least-loaded': 'Least loaded',
+        'round-robin': 'Round robin'
+    },
+
+    getConfig() {
+        return {
+            ...this.DEFAULTS,
+            ...(Storage.getSettings().assignment || {})
+        };
+    },
+
+    // Change strategy and/or claim length
+    updateConfig(updates) {
+        const config = { ...this.getConfig(), ...updates };
+
+        if (!this.STRATEGIES[config.strategy]) {
+            throw new Error(`Unknown assignment strategy: ${config.strategy}`);
+        }
+        config.claimMinutes = Number(config.claimMinutes);
+        if (!Number.isInteger(config.claimMinutes) || config.claimMinutes < 1) {
+            throw new Error('Claim length must be a whole number of minutes');
+        }
+
+        Storage.updateSettings({ assignment: config });
+
+        Audit.log({
+            action: Audit.Actions.SETTINGS_CHANGE,
+            details: `Review assignment: ${this.STRATEGIES[config.strategy]}, claims last ${config.claimMinutes} min`,
+            metadata: { assignment: config }
+        });
+
+        return {
+            success: true,
+            message: 'Assignment settings saved',
+            config
+        };
+    },
+
+    // Active reviewers who could act on the document's current stage
+    getEligibleReviewers(document) {
+        return Storage.getUsers()
+            .filter(user => user.active !== false)
+            .filter(user => Auth.userHasPermission(user.id, 'review_document', document))
+            .filter(user => !document.routedTo || user.role === document.routedTo)
+            .filter(user => !Workflow.getApprovalBlocker(document, user.id, { ignoreClaim: true }))
+            .sort((a, b) => a.username.localeCompare(b.username));
+    },
+
+    // Documents waiting in a reviewer's queue
+    getLoad(userId) {
+        return Storage.getDocumentsByStatus('needs-review').filter(d => d.assignedTo === userId).length;
+    },
+
+    // Pick a reviewer with the configured strategy and assign the document.
+    // options.exclude skips reviewers (e.g. the one who let it go overdue);
+    // options.actor ({ userId, userName }) is who the audit entry names
+    // instead of the logged-in user. Returns the assignee, or null if nobody is eligible.
+    autoAssign(documentId, options = {}) {
+        const document = Storage.getDocumentById(documentId);
+        if (!document || document.status !== 'needs-review') return null;
+
+        const excluded = options.exclude || [];
+        const candidates = this.getEligibleReviewers(document).filter(user => !excluded.includes(user.id));
+        if (candidates.length === 0) {
+            Storage.updateDocument(documentId, { assignedTo: undefined, assignedAt: undefined, claim: undefined });
+            return null;
+        }
+
+        const config = this.getConfig();
+        const assignee = config.strategy === 'round-robin'
+            ? this._nextInRotation(candidates)
+            : this._leastLoaded(candidates);
+
+        Storage.updateDocument(documentId, {
+            assignedTo: assignee.id,
+            assignedAt: new Date().toISOString(),
+            claim: undefined
+        });
+        Storage.updateSettings({ assignmentCursor: assignee.id });
+
+        Audit.log({
+            ...(options.actor || {}),
+            action: Audit.Actions.ASSIGN,
+            documentId: document.id,
+            documentName: document.name,
+            details: `Assigned to ${assignee.username} (${this.STRATEGIES[config.strategy] || config.strategy})`,
+            metadata: { assignedTo: assignee.id, strategy: config.strategy }
+        });
+
+        return assignee;
+    },
+
+    // Assign every waiting document that has nobody yet
+    assignUnassigned() {
+        const waiting = Storage.getDocumentsByStatus('needs-review').filter(d => !d.assignedTo);
+        const assigned = waiting.filter(d => this.autoAssign(d.id)).length;
+
+        return {
+            success: true,
+            message: `Assigned ${assigned} of ${waiting.length} waiting document(s)`
+        };
+    },
+
+    // Current claim, or null if there is none or it has expired
+    getActiveClaim(document, now = Date.now()) {
+        const claim = document.claim;
+        if (!claim || new Date(claim.expiresAt).getTime() <= now) return null;
+        return claim;
+    },
+
+    // Why the user cannot claim (or work on) the document, or null if they can
+    getClaimBlocker(document, userId) {
+        if (document.status !== 'needs-review') {
+            return 'Document is no longer awaiting review';
+        }
+
+        const existing = this.getActiveClaim(document);
+        if (existing && existing.userId !== userId) {
+            return `Claimed by ${existing.userName} until ${new Date(existing.expiresAt).toLocaleTimeString()}`;
+        }
+        if (!Auth.userHasPermission(userId, 'review_document', document)) {
+            return `You are not allowed to review ${document.type} documents`;
+        }
+        return null;
+    },
+
+    // Why the user cannot act on the document under the review lock, or null:
+    // someone else holds the claim, or nobody does and it isn't theirs
+    getLockBlocker(document, userId) {
+        const claim = this.getActiveClaim(document);
+        if (claim) {
+            return claim.userId === userId ? null
+                : `Claimed by ${claim.userName} until ${new Date(claim.expiresAt).toLocaleTimeString()}`;
+        }
+        if (document.assignedTo !== userId) {
+            return 'Claim this document before reviewing it';
+        }
+        return null;
+    },
+
+    // Lock the document for a reviewer (renews their own claim)
+    claim(documentId, userId) {
+        const document = Storage.getDocumentById(documentId);
+        if (!document) {
+            throw new Error('Document not found');
+        }
+
+        const blocker = this.getClaimBlocker(document, userId);
+        if (blocker) {
+            throw new Error(blocker);
+        }
+        const existing = this.getActiveClaim(document);
+
+        const user = Storage.getUserById(userId);
+        const now = new Date();
+        const claim = {
+            userId,
+            userName: user.username,
+            claimedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.getConfig().claimMinutes * 60 * 1000).toISOString()
+        };
+
+        Storage.updateDocument(documentId, {
+            claim,
+            assignedTo: userId,
+            assignedAt: document.assignedTo === userId ? document.assignedAt : claim.claimedAt
+        });
+
+        if (!existing) {
+            Audit.log({
+                action: Audit.Actions.CLAIM,
+                userId,
+                userName: user.username,
+                documentId: document.id,
+                documentName: document.name,
+                details: `Claimed for review until ${new Date(claim.expiresAt).toLocaleTimeString()}`
+            });
+        }
+
+        return {
+            success: true,
+            message: 'Document claimed',
+            claim
+        };
+    },
+
+    // Give a claimed document back to the unassigned pile
+    release(documentId, userId) {
+        const document = Storage.getDocumentById(documentId);
+        if (!document) {
+            throw new Error('Document not found');
+        }
+
+        const claim = this.getActiveClaim(document);
+        if (claim && claim.userId !== userId && !Auth.userHasPermission(userId, 'manage_workflow')) {
+            throw new Error(`Only ${claim.userName} can release this document`);
+        }
+        if (!claim && document.assignedTo !== userId && !Auth.userHasPermission(userId, 'manage_workflow')) {
+            throw new Error('This document is not assigned to you');
+        }
+
+        Storage.updateDocument(documentId, { claim: undefined, assignedTo: undefined, assignedAt: undefined });
+
+        const user = Storage.getUserById(userId);
+        Audit.log({
+            action: Audit.Actions.RELEASE,
+            userId,
+            userName: user ? user.username : 'Unknown',
+            documentId: document.id,
+            documentName: document.name,
+            details: claim && claim.userId !== userId ? `Released claim held by ${claim.userName}` : 'Released for another reviewer'
+        });
+
+        return {
+            success: true,
+            message: 'Document released'
+        };
+    },
+
+    _leastLoaded(candidates) {
+        const loads = new Map(candidates.map(user => [user.id, this.getLoad(user.id)]));
+        return candidates.reduce((best, user) => loads.get(user.id) < loads.get(best.id) ? user : best);
+    },
+
+    // Next candidate after the last reviewer who got a document
+    _nextInRotation(candidates) {
+        const last = Storage.getSettings().assignmentCursor;
+        const lastIndex = candidates.findIndex(user => user.id === last);
+        if (lastIndex !== -1) {
+            return candidates[(lastIndex + 1) % candidates.length];
+        }
+
+        // Last assignee not eligible here: continue alphabetically after them
+        const lastUser = last ? Storage.getUserById(last) : null;
+        const next = lastUser ? candidates.find(user => user.username.localeCompare(lastUser.username) > 0) : null;
+        return next || candidates[0];
+    }
+};
@@ -53,9 +53,8 @@ const Audit = {
         });
     },
 
-    // Export logs as CSV
-    exportToCSV() {
-        const logs = this.getLogs();
+    // Export logs as CSV (defaults to every log)
+    exportToCSV(logs = this.getLogs()) {
 
         // CSV header
         let csv = 'Timestamp,User,Action,Document,Details,Comments\n';
@@ -82,9 +81,8 @@ const Audit = {
         return csv;
     },
 
-    // Get audit statistics
-    getStatistics() {
-        const logs = this.getLogs();
+    // Get audit statistics (defaults to every log)
+    getStatistics(logs = this.getLogs()) {
 
         const stats = {
             totalLogs: logs.length,
@@ -112,11 +110,35 @@ const Audit = {
         // User actions
         LOGIN: 'login',
         LOGOUT: 'logout',
+        PASSWORD_CHANGE: 'password_change',
+        SESSION_EXPIRED: 'session_expired',
+        IDLE_TIMEOUT: 'idle_timeout',
+
+        // User administration actions
+        USER_CREATE: 'user_create',
+        USER_UPDATE: 'user_update',
+        USER_ROLE_CHANGE: 'user_role_change',
+        USER_DEACTIVATE: 'user_deactivate',
+        USER_REACTIVATE: 'user_reactivate',
+        USER_PASSWORD_RESET: 'user_password_reset',
+        ROLE_CREATE: 'role_create',
+        ROLE_UPDATE: 'role_update',
+        ROLE_DELETE: 'role_delete',
+
+        // Workflow configuration actions
+        RULE_CREATE: 'rule_create',
+        RULE_UPDATE: 'rule_update',
+        RULE_DELETE: 'rule_delete',
+        RULES_RESET: 'rules_reset',
+        SETTINGS_CHANGE: 'settings_change',
+        REGISTRY_IMPORT: 'registry_import',
+        REGISTRY_UPDATE: 'registry_update',
 
         // Document actions
         UPLOAD: 'upload_document',
         VIEW: 'view_document',
         DELETE: 'delete_document',
+        ACCESS_DENIED: 'access_denied',
 
         // Processing actions
         OCR_START: 'ocr_start',
@@ -127,9 +149,19 @@ const Audit = {
 
         // Workflow actions
         AUTO_APPROVE: 'auto_approve',
+        AUTO_REJECT: 'auto_reject',
         FLAG_REVIEW: 'flag_for_review',
+        DUPLICATE_SUSPECTED: 'duplicate_suspected',
         APPROVE: 'approve',
+        STAGE_APPROVE: 'stage_approve',
+        ASSIGN: 'assign',
+        CLAIM: 'claim',
+        RELEASE: 'release',
+        ESCALATED: 'escalated',
         REJECT: 'reject',
+        FIELD_CORRECT: 'field_correct',
+        RETURN: 'return_for_correction',
+        RESUBMIT: 'resubmit',
 
         // System actions
         SYSTEM_ERROR: 'system_error'
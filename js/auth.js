@@ -2,10 +2,52 @@
 // Handles user login, logout, and session management
 
 const Auth = {
-    // Check if user is logged in
+    // PBKDF2 parameters for new hashes (stored per user so they can be raised later)
+    PBKDF2_ITERATIONS: 100000,
+    SALT_BYTES: 16,
+    HASH_BITS: 256,
+    MIN_PASSWORD_LENGTH: 8,
+
+    // Permission catalog. Scoped permissions can be limited to document types.
+    PERMISSIONS: {
+        upload_document: { label: 'Upload documents', scoped: false },
+        view_own_documents: { label: 'View own documents', scoped: false },
+        view_all_documents: { label: 'View all documents', scoped: true },
+        review_document: { label: 'Review documents', scoped: true },
+        approve_document: { label: 'Approve documents', scoped: true },
+        reject_document: { label: 'Reject documents', scoped: true },
+        delete_document: { label: 'Delete documents', scoped: true },
+        view_audit_logs: { label: 'View audit logs', scoped: false },
+        view_reports: { label: 'View reports', scoped: false },
+        manage_users: { label: 'Manage users', scoped: false },
+        manage_roles: { label: 'Manage roles & permissions', scoped: false },
+        manage_workflow: { label: 'Manage workflow rules', scoped: false }
+    },
+
+    DOCUMENT_TYPES: ['invoice', 'contract'],
+
+    // Same message for unknown users and wrong passwords
+    LOGIN_ERROR: 'Invalid username or password',
+
+    // Session limits; override through Storage settings under `session`
+    SESSION_DEFAULTS: {
+        maxSessionMinutes: 8 * 60,
+        idleTimeoutMinutes: 30,
+        idleWarningSeconds: 60
+    },
+
+    ACTIVITY_EVENTS: ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'],
+    ACTIVITY_THROTTLE_MS: 10000,
+    SESSION_CHECK_INTERVAL_MS: 5000,
+
+    _sessionTimer: null,
+    _idleWarningToast: null,
+    _lastActivityWrite: 0,
+
+    // Check if user is logged in with a session that has not expired
     isAuthenticated() {
         const currentUser = Storage.getCurrentUser();
-        return currentUser !== null;
+        return currentUser !== null && this.getExpiryReason(currentUser) === null;
     },
 
     // Get current user
@@ -14,35 +56,45 @@ const Auth = {
     },
 
     // Login user
-    login(username, password) {
+    async login(username, password) {
         const user = Storage.getUserByUsername(username);
 
-        if (!user) {
+        // Deactivated accounts get the same generic error as unknown ones
+        if (!user || user.active === false) {
+            // Hash anyway so unknown usernames take as long as wrong passwords
+            await this.hashPassword(password);
             return {
                 success: false,
-                message: 'User not found'
+                message: this.LOGIN_ERROR
             };
         }
 
-        // Simple password check (in production, use proper hashing)
-        if (user.password !== password) {
+        if (!(await this.verifyPassword(user, password))) {
             return {
                 success: false,
-                message: 'Invalid password'
+                message: this.LOGIN_ERROR
             };
         }
 
+        // Silently replace a legacy plaintext password with a salted hash
+        if (user.password !== undefined) {
+            await this.setPassword(user.id, password);
+        }
+
         // Create session
+        const now = new Date().toISOString();
         const session = {
             id: user.id,
             username: user.username,
             role: user.role,
             email: user.email,
             fullName: user.fullName,
-            loginTime: new Date().toISOString()
+            loginTime: now,
+            lastActivity: now
         };
 
         Storage.setCurrentUser(session);
+        Storage.updateUser(user.id, { lastLoginAt: now });
 
         // Log the login
         if (typeof Audit !== 'undefined') {
@@ -59,6 +111,118 @@ const Auth = {
         };
     },
 
+    // Change password after confirming the current one
+    async changePassword(userId, currentPassword, newPassword) {
+        const user = Storage.getUserById(userId);
+
+        if (!user || !(await this.verifyPassword(user, currentPassword))) {
+            return {
+                success: false,
+                message: 'Current password is incorrect'
+            };
+        }
+
+        if (!newPassword || newPassword.length < this.MIN_PASSWORD_LENGTH) {
+            return {
+                success: false,
+                message: `New password must be at least ${this.MIN_PASSWORD_LENGTH} characters`
+            };
+        }
+
+        if (newPassword === currentPassword) {
+            return {
+                success: false,
+                message: 'New password must be different from the current one'
+            };
+        }
+
+        await this.setPassword(user.id, newPassword);
+
+        if (typeof Audit !== 'undefined') {
+            Audit.log({
+                userId: user.id,
+                userName: user.username,
+                action: Audit.Actions.PASSWORD_CHANGE,
+                details: `User ${user.username} changed their password`
+            });
+        }
+
+        return {
+            success: true,
+            message: 'Password changed successfully'
+        };
+    },
+
+    // Hash and store a new password, dropping any legacy plaintext field
+    async setPassword(userId, password) {
+        const hashed = await this.hashPassword(password);
+        return Storage.updateUser(userId, {
+            ...hashed,
+            password: undefined
+        });
+    },
+
+    // Derive a PBKDF2-SHA256 hash; a fresh random salt is used unless one is given
+    async hashPassword(password, salt = null, iterations = this.PBKDF2_ITERATIONS) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('WebCrypto is unavailable. Open DocFlow AI over https or localhost.');
+        }
+
+        const saltBytes = salt
+            ? this._fromHex(salt)
+            : crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: saltBytes, iterations, hash: 'SHA-256' },
+            key,
+            this.HASH_BITS
+        );
+
+        return {
+            passwordHash: this._toHex(new Uint8Array(bits)),
+            salt: this._toHex(saltBytes),
+            iterations
+        };
+    },
+
+    // Check a password against a stored user record (hashed or legacy plaintext)
+    async verifyPassword(user, password) {
+        if (user.passwordHash && user.salt) {
+            const { passwordHash } = await this.hashPassword(password, user.salt, user.iterations || this.PBKDF2_ITERATIONS);
+            return this._constantTimeEquals(passwordHash, user.passwordHash);
+        }
+
+        if (user.password !== undefined) {
+            return this._constantTimeEquals(String(password), String(user.password));
+        }
+
+        return false;
+    },
+
+    _constantTimeEquals(a, b) {
+        let diff = a.length ^ b.length;
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+        }
+        return diff === 0;
+    },
+
+    _toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    _fromHex(hex) {
+        return new Uint8Array(hex.match(/.{2}/g).map(b => parseInt(b, 16)));
+    },
+
     // Logout user
     logout() {
         const currentUser = this.getCurrentUser();
@@ -73,9 +237,142 @@ const Auth = {
         }
 
         Storage.remove(Storage.KEYS.CURRENT_USER);
+        this._stopSessionMonitor();
+
+        // Redirect to login once the audit entry is persisted
+        Storage.flush().finally(() => {
+            window.location.href = 'index.html';
+        });
+    },
 
-        // Redirect to login
-        window.location.href = 'index.html';
+    // Session limits merged with admin overrides
+    getSessionConfig() {
+        return {
+            ...this.SESSION_DEFAULTS,
+            ...(Storage.getSettings().session || {})
+        };
+    },
+
+    // Why a session is no longer valid: an audit action, or null if still valid
+    getExpiryReason(session, now = Date.now()) {
+        const config = this.getSessionConfig();
+        const loginTime = new Date(session.loginTime).getTime();
+        const lastActivity = new Date(session.lastActivity || session.loginTime).getTime();
+
+        if (now - loginTime >= config.maxSessionMinutes * 60000) {
+            return 'session_expired';
+        }
+        if (now - lastActivity >= config.idleTimeoutMinutes * 60000) {
+            return 'idle_timeout';
+        }
+        return null;
+    },
+
+    // End the session because of a time limit (distinct audit action per reason)
+    expireSession(reason) {
+        const session = Storage.getCurrentUser();
+
+        // Another tab may have already expired it; just follow along
+        if (session) {
+            Storage.remove(Storage.KEYS.CURRENT_USER);
+
+            if (typeof Audit !== 'undefined') {
+                const idle = reason === 'idle_timeout';
+                Audit.log({
+                    userId: session.id,
+                    userName: session.username,
+                    action: idle ? Audit.Actions.IDLE_TIMEOUT : Audit.Actions.SESSION_EXPIRED,
+                    details: idle
+                        ? `Session for ${session.username} ended after ${this.getSessionConfig().idleTimeoutMinutes} minutes of inactivity`
+                        : `Session for ${session.username} reached the ${this.getSessionConfig().maxSessionMinutes} minute limit`
+                });
+            }
+        }
+
+        this._stopSessionMonitor();
+        Storage.flush().finally(() => {
+            window.location.href = `index.html?reason=${reason}`;
+        });
+    },
+
+    // Record user activity on the shared session (throttled)
+    touchSession() {
+        const now = Date.now();
+        if (now - this._lastActivityWrite < this.ACTIVITY_THROTTLE_MS) return;
+
+        const session = Storage.getCurrentUser();
+        if (!session || this.getExpiryReason(session, now)) return;
+
+        this._lastActivityWrite = now;
+        Storage.setCurrentUser({ ...session, lastActivity: new Date(now).toISOString() });
+        this._clearIdleWarning();
+    },
+
+    _clearIdleWarning() {
+        if (this._idleWarningToast) {
+            this._idleWarningToast.remove();
+            this._idleWarningToast = null;
+        }
+    },
+
+    // Watch for idle/absolute expiry and for logouts made in other tabs
+    startSessionMonitor() {
+        if (this._sessionTimer) return;
+
+        const onActivity = () => this.touchSession();
+        this.ACTIVITY_EVENTS.forEach(event => {
+            document.addEventListener(event, onActivity, { passive: true });
+        });
+
+        this._sessionTimer = setInterval(() => this.checkSession(), this.SESSION_CHECK_INTERVAL_MS);
+
+        window.addEventListener('storage', (event) => {
+            if (event.key !== Storage.KEYS.CURRENT_USER && event.key !== null) return;
+
+            const session = Storage.getCurrentUser();
+            if (!session) {
+                // Logged out (or expired) in another tab
+                this._stopSessionMonitor();
+                window.location.href = 'index.html';
+            } else if (event.oldValue && JSON.parse(event.oldValue).id !== session.id) {
+                // Another tab logged in as someone else
+                window.location.reload();
+            }
+        });
+    },
+
+    checkSession() {
+        const session = Storage.getCurrentUser();
+        if (!session) return;
+
+        const reason = this.getExpiryReason(session);
+        if (reason) {
+            this.expireSession(reason);
+            return;
+        }
+        if (!this._syncSession(session)) return;
+
+        // Warn shortly before the idle logout
+        const config = this.getSessionConfig();
+        const lastActivity = new Date(session.lastActivity || session.loginTime).getTime();
+        const idleRemaining = config.idleTimeoutMinutes * 60000 - (Date.now() - lastActivity);
+
+        if (idleRemaining > config.idleWarningSeconds * 1000) {
+            // Activity in another tab moved the shared timestamp on
+            this._clearIdleWarning();
+        } else if (!this._idleWarningToast && typeof UI !== 'undefined') {
+            const seconds = Math.max(1, Math.round(idleRemaining / 1000));
+            this._idleWarningToast = UI.showToast(
+                `You will be logged out in ${seconds}s due to inactivity. Move the mouse or press a key to stay signed in.`,
+                'warning',
+                0
+            );
+        }
+    },
+
+    _stopSessionMonitor() {
+        clearInterval(this._sessionTimer);
+        this._sessionTimer = null;
     },
 
     // Check if user has specific role
@@ -90,12 +387,42 @@ const Auth = {
         return user && roles.includes(user.role);
     },
 
-    // Require authentication (redirect to login if not authenticated)
+    // Require authentication (redirect to login if not authenticated or expired)
     requireAuth() {
-        if (!this.isAuthenticated()) {
+        const session = Storage.getCurrentUser();
+        if (!session) {
             window.location.href = 'index.html';
             return false;
         }
+
+        const reason = this.getExpiryReason(session);
+        if (reason) {
+            this.expireSession(reason);
+            return false;
+        }
+
+        return this._syncSession(session);
+    },
+
+    // Pick up role/name changes made by an admin; end the session if the account was disabled
+    _syncSession(session) {
+        const user = Storage.getUserById(session.id);
+
+        if (!user || user.active === false) {
+            Storage.remove(Storage.KEYS.CURRENT_USER);
+            this._stopSessionMonitor();
+            window.location.href = 'index.html?reason=account_disabled';
+            return false;
+        }
+
+        if (user.role !== session.role || user.fullName !== session.fullName || user.email !== session.email) {
+            Storage.setCurrentUser({
+                ...session,
+                role: user.role,
+                fullName: user.fullName,
+                email: user.email
+            });
+        }
         return true;
     },
 
@@ -123,45 +450,51 @@ const Auth = {
         return true;
     },
 
-    // Get user permissions based on role
+    // Get user permissions based on role (names only, whatever their scope)
     getPermissions() {
         const user = this.getCurrentUser();
         if (!user) return [];
 
-        const permissions = {
-            admin: [
-                'upload_document',
-                'view_all_documents',
-                'review_document',
-                'approve_document',
-                'reject_document',
-                'delete_document',
-                'view_audit_logs',
-                'manage_users',
-                'view_reports'
-            ],
-            reviewer: [
-                'upload_document',
-                'view_all_documents',
-                'review_document',
-                'approve_document',
-                'reject_document',
-                'view_audit_logs',
-                'view_reports'
-            ],
-            user: [
-                'upload_document',
-                'view_own_documents'
-            ]
-        };
+        const role = this.getRole(user.role);
+        return role ? Object.keys(role.permissions || {}) : [];
+    },
+
+    getRole(roleId) {
+        return Storage.getRoleById(roleId) || null;
+    },
+
+    // Check a role's grant; when a document is given, its type must be in scope
+    roleHasPermission(roleId, permission, document = null) {
+        const role = this.getRole(roleId);
+        const scope = role && role.permissions ? role.permissions[permission] : null;
+
+        if (!scope) return false;
+        if (scope === '*' || !document) return true;
+        return Array.isArray(scope) && scope.includes(document.type);
+    },
+
+    // Check if user has specific permission, optionally for a given document
+    hasPermission(permission, document = null) {
+        const user = this.getCurrentUser();
+        return !!user && this.roleHasPermission(user.role, permission, document);
+    },
 
-        return permissions[user.role] || [];
+    // Same check for any stored user (e.g. the reviewer acting on a document)
+    userHasPermission(userId, permission, document = null) {
+        const user = Storage.getUserById(userId);
+        return !!user && user.active !== false && this.roleHasPermission(user.role, permission, document);
     },
 
-    // Check if user has specific permission
-    hasPermission(permission) {
-        const permissions = this.getPermissions();
-        return permissions.includes(permission);
+    // Require a permission (redirect to dashboard if missing)
+    requirePermission(permission) {
+        if (!this.requireAuth()) return false;
+
+        if (!this.hasPermission(permission)) {
+            UI.showToast('Access denied. Insufficient permissions.', 'error');
+            window.location.href = 'dashboard.html';
+            return false;
+        }
+        return true;
     },
 
     // Initialize auth state on page load
@@ -173,7 +506,9 @@ const Auth = {
 
         if (!isLoginPage) {
             // Require authentication for all other pages
-            this.requireAuth();
+            if (this.requireAuth()) {
+                this.startSessionMonitor();
+            }
         } else if (this.isAuthenticated()) {
             // If already logged in, redirect to dashboard
             window.location.href = 'dashboard.html';
@@ -183,7 +518,9 @@ const Auth = {
 
 // Initialize auth on page load
 if (typeof window !== 'undefined') {
-    document.addEventListener('DOMContentLoaded', () => {
+    document.addEventListener('DOMContentLoaded', async () => {
+        // Expiry writes audit entries, so wait for the database first
+        await Storage.ready();
         Auth.init();
     });
 }
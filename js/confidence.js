@@ -0,0 +1,106 @@
+// DocFlow AI - Field Confidence & Provenance
+// How far each extracted field can be trusted and where in the extracted text
+// it came from. A field's confidence (0-100) is the strength of the match that
+// found it (a labelled value beats a best guess) times the OCR confidence of
+// the words it was read from; PDF text layers count as fully legible.
+//
+// Documents keep it as fieldConfidence:
+//   { [field]: { confidence, method, ocrConfidence, span: { start, end, text } | null } }
+// with span offsets into extractedText.
+
+const Confidence = {
+    // Override through Storage settings under `confidence`
+    DEFAULTS: {
+        lowThreshold: 60 // fields below this are flagged for the reviewer
+    },
+
+    // How a field was found, and what that alone is worth
+    METHODS: {
+        labeled: { label: 'Labelled in the text', strength: 0.95 },
+        table: { label: 'Line-item table total', strength: 0.95 },
+        pattern: { label: 'Pattern match', strength: 0.85 },
+        derived: { label: 'Calculated from other fields', strength: 0.75 },
+        guess: { label: 'Best guess among several', strength: 0.65 },
+        entity: { label: 'Recognized as a name', strength: 0.65 },
+        corrected: { label: 'Entered by a person', strength: 1 }
+    },
+
+    getConfig() {
+        return {
+            ...this.DEFAULTS,
+            ...(Storage.getSettings().confidence || {})
+        };
+    },
+
+    // Score the fields an extractor found. found maps field name to
+    // { method, start, end } (start null when the value has no single source
+    // span); ocr is { confidence, words } from OCR.recognize, or null for text
+    // that was not OCRed.
+    score(found, text, ocr = null) {
+        const scored = {};
+
+        Object.entries(found).forEach(([field, { method, start, end }]) => {
+            const hasSpan = start !== null && start !== undefined;
+            let ocrConfidence = null;
+            if (ocr) {
+                ocrConfidence = hasSpan ? this._ocrConfidence(ocr.words, start, end) : null;
+                if (ocrConfidence === null) ocrConfidence = ocr.confidence;
+            }
+
+            scored[field] = {
+                confidence: Math.round(this.METHODS[method].strength * (ocrConfidence === null ? 100 : ocrConfidence)),
+                method,
+                ocrConfidence,
+                span: hasSpan ? { start, end, text: text.slice(start, end) } : null
+            };
+        });
+
+        return scored;
+    },
+
+    // fieldConfidence after people changed fields: changes is
+    // [{ field, after }] (after null: the field was removed)
+    applyChanges(fieldConfidence, changes, userName) {
+        const updated = { ...(fieldConfidence || {}) };
+
+        changes.forEach(({ field, after }) => {
+            if (after === null || after === undefined || after === '') {
+                delete updated[field];
+            } else {
+                updated[field] = { confidence: 100, method: 'corrected', ocrConfidence: null, span: null, correctedBy: userName };
+            }
+        });
+
+        return updated;
+    },
+
+    isLow(entry) {
+        return !!entry && entry.confidence < this.getConfig().lowThreshold;
+    },
+
+    // Names of the document's extracted fields below the threshold
+    lowFields(document) {
+        const fields = document.extractedFields || {};
+        return Object.entries(document.fieldConfidence || {})
+            .filter(([field, entry]) => field in fields && this.isLow(entry))
+            .map(([field]) => field);
+    },
+
+    // Lowest confidence among the document's extracted fields, or null when unscored
+    lowest(document) {
+        const fields = document.extractedFields || {};
+        const scores = Object.entries(document.fieldConfidence || {})
+            .filter(([field]) => field in fields)
+            .map(([, entry]) => entry.confidence);
+        return scores.length > 0 ? Math.min(...scores) : null;
+    },
+
+    // Confidence of the least legible OCR word overlapping start..end, or
+    // null when no word with a known position does
+    _ocrConfidence(words, start, end) {
+        const overlapping = (words || []).filter(word =>
+            word.start !== null && word.start !== undefined && word.start < end && start < word.end
+        );
+        return overlapping.length > 0 ? Math.round(Math.min(...overlapping.map(word => word.confidence))) : null;
+    }
+};
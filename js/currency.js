@@ -0,0 +1,283 @@
+// DocFlow AI - Currency Handling
+// Reads money amounts in any of the supported currencies and number formats
+// ("$1,234.56", "1.234,56 €", "CHF 1'234.50", "₹1,23,456") and converts them
+// to the base currency through a locally maintained exchange-rate table.
+// Extracted documents keep the amount as a plain number ("Amount") with the
+// currency code in its own field ("Currency"); workflow thresholds compare the
+// converted base amount. Stored amounts are always written "1,234.56" whatever
+// the configured decimal separator, which only applies to document text.
+
+const Currency = {
+    // Thresholds in rules and approval stages are in this currency
+    BASE: 'USD',
+
+    // Override through Storage settings under `currency`
+    DEFAULTS: {
+        defaultCurrency: 'USD', // for amounts without a symbol or code
+        decimalSeparator: 'auto' // 'auto', '.' (1,234.56) or ',' (1.234,56)
+    },
+
+    // Extracted fields holding the document amount, in order of preference
+    FIELDS: ['Amount', 'Value', 'Total'],
+
+    // Decimal separator of amounts stored in extracted fields (see formatNumber)
+    STORED_DECIMAL: '.',
+
+    DECIMAL_SEPARATORS: {
+        auto: 'Detect from the number',
+        '.': 'Period (1,234.56)',
+        ',': 'Comma (1.234,56)'
+    },
+
+    // Units of the base currency per unit; edited under settings `exchangeRates`
+    DEFAULT_RATES: {
+        USD: 1,
+        EUR: 1.08,
+        GBP: 1.27,
+        CHF: 1.13,
+        JPY: 0.0067,
+        CNY: 0.14,
+        INR: 0.012,
+        CAD: 0.73,
+        AUD: 0.66
+    },
+
+    // Symbols and prefixes, longest first so "US$" wins over "$"
+    SYMBOLS: [
+        ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'], ['CN¥', 'CNY'],
+        ['RMB', 'CNY'], ['Rs.', 'INR'], ['Rs', 'INR'], ['Fr.', 'CHF'],
+        ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR']
+    ],
+
+    getConfig() {
+        return {
+            ...this.DEFAULTS,
+            ...(Storage.getSettings().currency || {})
+        };
+    },
+
+    updateConfig(updates) {
+        const config = { ...this.getConfig(), ...updates };
+        config.defaultCurrency = String(config.defaultCurrency).trim().toUpperCase();
+
+        if (!this.DECIMAL_SEPARATORS[config.decimalSeparator]) {
+            throw new Error(`Unknown decimal separator: ${config.decimalSeparator}`);
+        }
+        if (!this.getRates()[config.defaultCurrency]) {
+            throw new Error(`No exchange rate for currency "${config.defaultCurrency}"`);
+        }
+
+        Storage.updateSettings({ currency: config });
+
+        Audit.log({
+            action: Audit.Actions.SETTINGS_CHANGE,
+            details: `Updated number parsing: default currency ${config.defaultCurrency}, decimal separator ${this.DECIMAL_SEPARATORS[config.decimalSeparator]}`,
+            metadata: { currency: config }
+        });
+
+        return {
+            success: true,
+            message: 'Number settings saved',
+            config
+        };
+    },
+
+    getRates() {
+        return {
+            ...this.DEFAULT_RATES,
+            ...(Storage.getSettings().exchangeRates || {})
+        };
+    },
+
+    // Replace rates, e.g. { EUR: 1.09, GBP: 1.26 }
+    updateRates(updates) {
+        const rates = this.getRates();
+
+        Object.entries(updates).forEach(([code, rate]) => {
+            if (!/^[A-Z]{3}$/.test(code)) {
+                throw new Error(`Invalid currency code: ${code}`);
+            }
+            const value = Number(rate);
+            if (isNaN(value) || value <= 0) {
+                throw new Error(`${code} rate must be a positive number`);
+            }
+            rates[code] = value;
+        });
+        rates[this.BASE] = 1;
+
+        Storage.updateSettings({ exchangeRates: rates });
+
+        Audit.log({
+            action: Audit.Actions.SETTINGS_CHANGE,
+            details: 'Updated exchange rates: ' + Object.entries(rates)
+                .filter(([code]) => code !== this.BASE)
+                .map(([code, rate]) => `${code} ${rate}`)
+                .join(', '),
+            metadata: { exchangeRates: rates }
+        });
+
+        return {
+            success: true,
+            message: 'Exchange rates saved',
+            rates
+        };
+    },
+
+    // The document amount from extracted fields ("Amount", else "Value" or
+    // "Total") as { value, currency, base }. The "Currency" field wins over a
+    // symbol in the amount; without a rate, base is the unconverted value.
+    fromFields(fields) {
+        fields = fields || {};
+        const field = this.FIELDS.find(key => fields[key]);
+        const parsed = field ? this.parse(fields[field], this.STORED_DECIMAL) : null;
+        if (!parsed) return null;
+
+        const currency = ((fields['Currency'] || '').trim().toUpperCase()) || parsed.currency || this.getConfig().defaultCurrency;
+        const base = this.toBase(parsed.value, currency);
+        return { value: parsed.value, currency, base: base === null ? parsed.value : base };
+    },
+
+    // Amount in the base currency, or null when there is no rate for the currency
+    toBase(value, currency) {
+        const rate = this.getRates()[currency];
+        if (value === null || value === undefined || !rate) return null;
+        return Math.round(value * rate * 100) / 100;
+    },
+
+    // { value, currency } from a single amount such as "€1.234,56", "1,234.56 CHF"
+    // or "(20.00)"; currency is null when the text names none. null when the
+    // text is not an amount. The decimal separator defaults to the configured one.
+    parse(text, decimalSeparator) {
+        if (text === undefined || text === null) return null;
+        if (typeof text === 'number') return { value: text, currency: null };
+
+        let rest = String(text).trim();
+        let currency = null;
+        let negative = false;
+
+        if (/^\(.*\)$/.test(rest)) {
+            negative = true;
+            rest = rest.slice(1, -1).trim();
+        }
+        if (rest.startsWith('-')) {
+            negative = !negative;
+            rest = rest.slice(1).trim();
+        }
+
+        const marker = this._readMarker(rest, 'start') || this._readMarker(rest, 'end');
+        if (marker) {
+            currency = marker.currency;
+            rest = marker.rest;
+            if (rest.startsWith('-')) {
+                negative = !negative;
+                rest = rest.slice(1).trim();
+            }
+        }
+
+        const value = this.parseNumber(rest, decimalSeparator);
+        if (value === null) return null;
+        return { value: negative ? -value : value, currency };
+    },
+
+    // Plain number with thousands separators (",", ".", "'", spaces) and a
+    // "." or "," decimal separator; null for anything else
+    parseNumber(text, decimalSeparator = this.getConfig().decimalSeparator) {
+        const compact = String(text).trim().replace(/[\s']/g, '');
+        if (!/^\d(?:[\d.,]*\d)?$/.test(compact)) return null;
+
+        const decimal = this._decimalSeparator(compact, decimalSeparator);
+        const normalized = decimal
+            ? compact.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.')
+            : compact.replace(/[.,]/g, '');
+        if (!/^\d+(\.\d+)?$/.test(normalized)) return null;
+
+        return parseFloat(normalized);
+    },
+
+    // Every amount in running text that carries a currency symbol or code.
+    // A marker between two numbers belongs to the one after it.
+    findAmounts(text) {
+        const markers = [...this.SYMBOLS.map(([symbol]) => symbol), ...Object.keys(this.getRates())]
+            .map(marker => marker.replace(/[.$]/g, '\\$&'))
+            .join('|');
+        // "2 400,00" (French, with plain spaces from OCR) before other forms
+        const number = "(?:\\d{1,3}(?: \\d{3})+(?:[.,]\\d{1,2})?|\\d(?:[\\d.,'\\u00a0\\u202f]*\\d)?)";
+        const pattern = new RegExp(
+            `(?<![A-Za-z])(?:${markers})\\s*-?${number}|-?${number}\\s*(?:${markers})(?![A-Za-z])(?!\\s*-?\\d)`,
+            'g'
+        );
+
+        const amounts = [];
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const parsed = this.parse(match[0]);
+            if (parsed && parsed.currency) {
+                amounts.push({ ...parsed, text: match[0], index: match.index });
+            }
+        }
+        return amounts;
+    },
+
+    // "1,234.56" in the currency's usual number of decimals
+    formatNumber(value, currency = this.BASE) {
+        const digits = this._fractionDigits(currency);
+        return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    },
+
+    // "€1,234.56", "CHF 1,234.56"
+    format(value, currency = this.BASE) {
+        try {
+            return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+        } catch (error) {
+            return `${currency} ${this.formatNumber(value, currency)}`;
+        }
+    },
+
+    // Leading or trailing symbol / ISO code: { currency, rest } or null
+    _readMarker(text, side) {
+        const codes = Object.keys(this.getRates());
+        const candidates = [...this.SYMBOLS, ...codes.map(code => [code, code])];
+
+        for (const [marker, currency] of candidates) {
+            if (side === 'start' && text.toUpperCase().startsWith(marker.toUpperCase())) {
+                const rest = text.slice(marker.length);
+                if (/^[A-Za-z]/.test(rest)) continue; // "Rsvp", "USDT"
+                return { currency, rest: rest.trim() };
+            }
+            if (side === 'end' && text.toUpperCase().endsWith(marker.toUpperCase())) {
+                const rest = text.slice(0, text.length - marker.length);
+                if (/[A-Za-z]$/.test(rest)) continue;
+                return { currency, rest: rest.trim() };
+            }
+        }
+        return null;
+    },
+
+    // Which of "." and "," is the decimal separator in a compact number (null: none).
+    // With both present the last one is; a single separator followed by
+    // exactly three digits is read as thousands unless the setting says otherwise.
+    _decimalSeparator(compact, setting) {
+        const lastDot = compact.lastIndexOf('.');
+        const lastComma = compact.lastIndexOf(',');
+
+        if (lastDot >= 0 && lastComma >= 0) return lastDot > lastComma ? '.' : ',';
+        if (lastDot < 0 && lastComma < 0) return null;
+
+        const separator = lastDot >= 0 ? '.' : ',';
+        if (setting === '.' || setting === ',') {
+            return separator === setting ? separator : null;
+        }
+
+        const occurrences = compact.split(separator).length - 1;
+        const digitsAfter = compact.length - compact.lastIndexOf(separator) - 1;
+        return occurrences === 1 && digitsAfter !== 3 ? separator : null;
+    },
+
+    _fractionDigits(currency) {
+        try {
+            return new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+        } catch (error) {
+            return 2;
+        }
+    }
+};
@@ -0,0 +1,233 @@
+// DocFlow AI - Date Parsing
+// Turns the dates found in documents into ISO dates (YYYY-MM-DD). Numeric
+// dates like 03/04/2025 are read day-first or month-first as configured,
+// unless one part is over 12; textual dates ("March 5, 2025", "the 5th of
+// March 2025") parse either way. findLabeled() picks out invoice, due,
+// effective and expiration dates by the words in front of them, and
+// parseTerms() reads payment terms such as "Net 30". Month names and labels
+// are recognized in English, German, French and Spanish (the OCR languages).
+
+const Dates = {
+    // Override through Storage settings under `dates`
+    DEFAULTS: {
+        dateOrder: 'month-first' // or 'day-first'
+    },
+
+    ORDERS: {
+        'month-first': 'Month first (03/04/2025 = March 4)',
+        'day-first': 'Day first (03/04/2025 = 3 April)'
+    },
+
+    // Extracted fields that hold ISO dates
+    FIELDS: ['Date', 'Due Date', 'Effective Date', 'Expiration Date'],
+
+    MONTHS: {
+        jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+        may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+        sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11,
+        dec: 12, december: 12,
+        // German
+        januar: 1, jänner: 1, februar: 2, märz: 3, maerz: 3, mai: 5, juni: 6, juli: 7,
+        okt: 10, oktober: 10, dez: 12, dezember: 12,
+        // French
+        janv: 1, janvier: 1, févr: 2, février: 2, fevrier: 2, mars: 3, avr: 4, avril: 4,
+        juin: 6, juil: 7, juillet: 7, août: 8, aout: 8, septembre: 9, octobre: 10,
+        novembre: 11, décembre: 12, decembre: 12,
+        // Spanish
+        ene: 1, enero: 1, febrero: 2, marzo: 3, abr: 4, abril: 4, mayo: 5, junio: 6,
+        julio: 7, ago: 8, agosto: 8, septiembre: 9, setiembre: 9, octubre: 10,
+        noviembre: 11, dic: 12, diciembre: 12
+    },
+
+    // Words in front of a date (on the same line) that say what it is. Tested
+    // in this order, so "Due Date:" is a due date and not the invoice date.
+    // (A lookbehind instead of \b, which doesn't see accented letters.)
+    LABELS: {
+        due: /(?<![a-zà-ÿ])(due\s+date|payment\s+due|due\s+(?:by|on)|pay(?:able)?\s+by|due|fällig(?:keitsdatum|\s+(?:am|bis))?|zahlbar\s+bis|date\s+d['’]échéance|échéance|à\s+payer\s+avant\s+le|fecha\s+de\s+vencimiento|vencimiento|pagar\s+antes\s+del?)\s*[:#-]?\s*$/i,
+        effective: /(?<![a-zà-ÿ])(effective\s+date|effective(?:\s+(?:as\s+of|from|on))?|commencement\s+date|start\s+date|commenc(?:es|ing)\s+on|starting|gültig\s+ab|vertragsbeginn|beginn|ab\s+dem|en\s+vigueur\s+(?:le|à\s+compter\s+du)|à\s+compter\s+du|date\s+d['’]effet|fecha\s+de\s+inicio|vigente\s+desde|a\s+partir\s+del?)\s*[:#-]?\s*$/i,
+        expiration: /(?<![a-zà-ÿ])(expiration\s+date|expiry\s+date|expir(?:es|ing)\s+on|end\s+date|ends\s+on|terminat(?:es|ion)\s+(?:on|date)|valid\s+(?:until|through)|until|gültig\s+bis|vertragsende|ablaufdatum|läuft\s+ab\s+am|expire\s+le|date\s+d['’]expiration|date\s+de\s+fin|jusqu['’]au|fecha\s+de\s+(?:expiración|finalización|terminación)|válido\s+hasta|hasta\s+el)\s*[:#-]?\s*$/i,
+        invoice: /(?<![a-zà-ÿ])(invoice\s+date|date\s+of\s+issue|issue\s+date|issued(?:\s+on)?|dated|date|rechnungsdatum|ausstellungsdatum|datum|date\s+de\s+(?:la\s+)?facture|date\s+d['’]émission|fecha\s+de\s+(?:la\s+)?factura|fecha\s+de\s+emisión|fecha)\s*[:#-]?\s*$/i
+    },
+
+    getConfig() {
+        return {
+            ...this.DEFAULTS,
+            ...(Storage.getSettings().dates || {})
+        };
+    },
+
+    updateConfig(updates) {
+        const config = { ...this.getConfig(), ...updates };
+
+        if (!this.ORDERS[config.dateOrder]) {
+            throw new Error(`Unknown date order: ${config.dateOrder}`);
+        }
+
+        Storage.updateSettings({ dates: config });
+
+        Audit.log({
+            action: Audit.Actions.SETTINGS_CHANGE,
+            details: `Updated date parsing: ${this.ORDERS[config.dateOrder]}`,
+            metadata: { dates: config }
+        });
+
+        return {
+            success: true,
+            message: 'Date settings saved',
+            config
+        };
+    },
+
+    // ISO date (YYYY-MM-DD) for a single date in any supported form, or null
+    parse(text) {
+        if (!text) return null;
+        const found = this.findDates(String(text));
+        return found.length > 0 ? found[0].iso : null;
+    },
+
+    // Every date in the text, in order: [{ iso, text, index }]
+    findDates(text) {
+        const monthNames = Object.keys(this.MONTHS).sort((a, b) => b.length - a.length).join('|');
+        const day = '(\\d{1,2})(?:st|nd|rd|th|er|\\.)?';
+        const patterns = [
+            // 2025-03-05, 2025/03/05
+            { regex: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g, read: m => [m[1], m[2], m[3]] },
+            // 03/05/2025, 3-5-25, 05.03.2025
+            { regex: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/g, read: m => this._numericParts(m[1], m[2], m[3]) },
+            // March 5, 2025 / Mar 5th 2025
+            {
+                regex: new RegExp(`\\b(${monthNames})\\.?\\s+${day},?\\s+(\\d{4})\\b`, 'gi'),
+                read: m => [m[3], this.MONTHS[m[1].toLowerCase()], m[2]]
+            },
+            // 5 March 2025 / the 5th of March, 2025 / 5. März 2025 / 1er mars 2025 / 5 de marzo de 2025
+            {
+                regex: new RegExp(`\\b${day}\\s+(?:of\\s+|de\\s+)?(${monthNames})\\.?,?\\s+(?:de\\s+)?(\\d{4})\\b`, 'gi'),
+                read: m => [m[3], this.MONTHS[m[2].toLowerCase()], m[1]]
+            }
+        ];
+
+        const dates = [];
+        patterns.forEach(({ regex, read }) => {
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                const iso = this._toIso(...read(match));
+                const overlaps = dates.some(date => match.index < date.index + date.text.length && date.index < match.index + match[0].length);
+                if (iso && !overlaps) {
+                    dates.push({ iso, text: match[0], index: match.index });
+                }
+            }
+        });
+
+        return dates.sort((a, b) => a.index - b.index);
+    },
+
+    // Dates by what the text in front of them calls them:
+    // { invoice, due, effective, expiration } (missing when not found), each
+    // { iso, index, text } where text runs from the label to the date
+    findLabeled(text) {
+        const labeled = {};
+
+        this.findDates(text).forEach(date => {
+            const lineStart = text.lastIndexOf('\n', date.index) + 1;
+            const before = text.slice(Math.max(lineStart, date.index - 40), date.index);
+            const kind = Object.keys(this.LABELS).find(key => this.LABELS[key].test(before));
+            if (kind && !labeled[kind]) {
+                const label = before.match(this.LABELS[kind]);
+                const index = date.index - before.length + label.index;
+                labeled[kind] = { iso: date.iso, index, text: text.slice(index, date.index + date.text.length) };
+            }
+        });
+
+        return labeled;
+    },
+
+    // Payment terms: { label: 'Net 30', days: 30, index, text } or null.
+    // "Net 30", "net 30 days", "payable within 45 days", "due on receipt",
+    // "zahlbar innerhalb von 30 Tagen", "payable sous 30 jours", "pago a 30 días"
+    parseTerms(text) {
+        const found = (match, label, days) => ({ label, days, index: match.index, text: match[0] });
+
+        const net = (text || '').match(/\bnet(?:to)?\s*(\d{1,3})\b(?:\s*(?:days|tage|jours|días))?/i);
+        if (net) return found(net, `Net ${parseInt(net[1], 10)}`, parseInt(net[1], 10));
+
+        const within = (text || '').match(new RegExp([
+            '\\b(?:payable|due|payment)\\s+(?:is\\s+due\\s+)?within\\s+(\\d{1,3})\\s+days\\b',
+            '\\bzahlbar\\s+innerhalb(?:\\s+von)?\\s+(\\d{1,3})\\s+tagen\\b',
+            '(?:\\bpayable|à\\s+payer)\\s+(?:sous|à)\\s+(\\d{1,3})\\s+jours\\b',
+            '\\b(?:pago|pagadero|vencimiento)\\s+a\\s+(\\d{1,3})\\s+días'
+        ].join('|'), 'i'));
+        if (within) {
+            const days = parseInt(within.slice(1).find(Boolean), 10);
+            return found(within, `Net ${days}`, days);
+        }
+
+        const receipt = (text || '').match(/\b(?:due|payable)\s+(?:up)?on\s+receipt\b|\bsofort\s+zahlbar\b|\bzahlbar\s+sofort\b|à\s+réception\b|\bal\s+contado\b/i);
+        if (receipt) return found(receipt, 'Due on receipt', 0);
+        return null;
+    },
+
+    addDays(iso, days) {
+        const date = new Date(`${iso}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    },
+
+    // "2 years", "18 months", "90 days" after an ISO date
+    addTerm(iso, term) {
+        const match = (term || '').match(/(\d+)\s*(year|month|day)/i);
+        if (!match) return null;
+
+        const amount = parseInt(match[1], 10);
+        const unit = match[2].toLowerCase();
+        if (unit === 'day') return this.addDays(iso, amount);
+
+        const date = new Date(`${iso}T00:00:00Z`);
+        date.setUTCMonth(date.getUTCMonth() + (unit === 'year' ? amount * 12 : amount));
+        return date.toISOString().slice(0, 10);
+    },
+
+    // Today in local time as YYYY-MM-DD
+    today(now = Date.now()) {
+        const date = new Date(now);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+
+    // Whole days from one ISO date to another (negative when `to` is earlier)
+    daysBetween(from, to) {
+        return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+    },
+
+    // The date a document runs out: an invoice's due date or a contract's
+    // expiration. { kind: 'due' | 'expiry', date, daysOverdue, overdue } or null.
+    // daysOverdue is negative while the date is still ahead.
+    getDeadline(document, now = Date.now()) {
+        const fields = document.extractedFields || {};
+        const kind = document.type === 'contract' ? 'expiry' : 'due';
+        const date = this.parse(kind === 'expiry' ? fields['Expiration Date'] : fields['Due Date']);
+        if (!date) return null;
+
+        const daysOverdue = this.daysBetween(date, this.today(now));
+        return { kind, date, daysOverdue, overdue: daysOverdue > 0 };
+    },
+
+    // Year, month, day for a numeric date in the configured order; a part
+    // over 12 can only be the day
+    _numericParts(first, second, year) {
+        const a = parseInt(first, 10);
+        const b = parseInt(second, 10);
+        const dayFirst = a > 12 ? true : b > 12 ? false : this.getConfig().dateOrder === 'day-first';
+        return dayFirst ? [year, b, a] : [year, a, b];
+    },
+
+    // ISO string for a valid calendar date, else null
+    _toIso(year, month, day) {
+        let y = parseInt(year, 10);
+        const m = parseInt(month, 10);
+        const d = parseInt(day, 10);
+        if (String(year).length === 2) y += y < 70 ? 2000 : 1900;
+
+        const date = new Date(Date.UTC(y, m - 1, d));
+        if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+        return date.toISOString().slice(0, 10);
+    }
+};
@@ -0,0 +1,160 @@
+// DocFlow AI - Duplicate Invoice Detection
+// Runs from Workflow.processDocument before the rules. A document is a
+// suspected duplicate of an earlier one when any of these hold:
+//   exact - same vendor and invoice number
+//   near  - amount within a tolerance and invoice date within a few days
+//   text  - extractedText fingerprints (MinHash over word shingles) nearly equal
+// Suspected duplicates are never auto-approved.
+
+const Duplicates = {
+    // Override through Storage settings under `duplicates`
+    DEFAULTS: {
+        types: ['invoice'],
+        amountTolerance: 0.01, // fraction of the larger amount
+        dateWindowDays: 3,
+        textSimilarity: 0.9 // estimated Jaccard similarity of word shingles
+    },
+
+    REASONS: {
+        exact: 'same vendor and invoice number',
+        near: 'same amount and date',
+        text: 'near-identical text'
+    },
+
+    // MinHash signature length and shingle size (in words)
+    SIGNATURE_SIZE: 64,
+    SHINGLE_WORDS: 3,
+
+    getConfig() {
+        return {
+            ...this.DEFAULTS,
+            ...(Storage.getSettings().duplicates || {})
+        };
+    },
+
+    // Fingerprint the document, look for earlier copies and record the result.
+    // Returns the strongest match, or null.
+    check(documentId) {
+        const document = Storage.getDocumentById(documentId);
+        if (!document) {
+            throw new Error('Document not found');
+        }
+
+        const textFingerprint = this.fingerprint(document.extractedText);
+        const checked = { ...document, textFingerprint };
+        const matches = this.getConfig().types.includes(document.type) ? this.findMatches(checked) : [];
+        const duplicateOf = matches[0] || null;
+
+        Storage.updateDocument(documentId, {
+            textFingerprint: textFingerprint || undefined,
+            duplicateOf: duplicateOf || undefined
+        });
+
+        if (duplicateOf) {
+            Audit.log({
+                action: Audit.Actions.DUPLICATE_SUSPECTED,
+                documentId: document.id,
+                documentName: document.name,
+                details: `Possible duplicate of ${duplicateOf.documentName}: ${this.describe(duplicateOf)}`,
+                metadata: { matches }
+            });
+        }
+
+        return duplicateOf;
+    },
+
+    // Earlier documents of the same type that look like this one, strongest first
+    findMatches(document) {
+        const config = this.getConfig();
+        const created = new Date(document.createdAt).getTime();
+
+        return Storage.getDocuments()
+            .filter(other => other.id !== document.id && other.type === document.type)
+            .filter(other => new Date(other.createdAt).getTime() <= created)
+            .map(other => {
+                const reasons = [];
+                if (this._exactMatch(document, other)) reasons.push('exact');
+                if (this._nearMatch(document, other, config)) reasons.push('near');
+
+                const fingerprint = other.textFingerprint || this.fingerprint(other.extractedText);
+                const similarity = this.similarity(document.textFingerprint, fingerprint);
+                if (similarity !== null && similarity >= config.textSimilarity) reasons.push('text');
+
+                return {
+                    documentId: other.id,
+                    documentName: other.name,
+                    status: other.status,
+                    reasons,
+                    similarity
+                };
+            })
+            .filter(match => match.reasons.length > 0)
+            .sort((a, b) => b.reasons.length - a.reasons.length || (b.similarity || 0) - (a.similarity || 0));
+    },
+
+    // "same vendor and invoice number, near-identical text (97%)"
+    describe(match) {
+        return match.reasons.map(reason => reason === 'text' && match.similarity !== null
+            ? `${this.REASONS.text} (${Math.round(match.similarity * 100)}%)`
+            : this.REASONS[reason]
+        ).join(', ');
+    },
+
+    // MinHash signature of the text's word shingles, or null for (almost) empty text
+    fingerprint(text) {
+        const words = (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+        if (words.length < this.SHINGLE_WORDS) return null;
+
+        const shingles = new Set();
+        for (let i = 0; i <= words.length - this.SHINGLE_WORDS; i++) {
+            shingles.add(words.slice(i, i + this.SHINGLE_WORDS).join(' '));
+        }
+
+        // Cheap family of hash functions derived from one base hash per shingle
+        const seeds = Array.from({ length: this.SIGNATURE_SIZE }, (_, i) => this._hash(String(i)));
+        const signature = new Array(this.SIGNATURE_SIZE).fill(0xffffffff);
+        shingles.forEach(shingle => {
+            const base = this._hash(shingle);
+            seeds.forEach((seed, i) => {
+                const value = Math.imul(base ^ seed, 0x9e3779b1) >>> 0;
+                if (value < signature[i]) signature[i] = value;
+            });
+        });
+        return signature;
+    },
+
+    // Estimated Jaccard similarity (0-1), or null when either side has no fingerprint
+    similarity(a, b) {
+        if (!a || !b || a.length !== b.length) return null;
+        return a.filter((value, i) => value === b[i]).length / a.length;
+    },
+
+    _exactMatch(a, b) {
+        const vendor = doc => Registry.normalizeName((doc.extractedFields || {})['Vendor']);
+        const number = doc => ((doc.extractedFields || {})['Invoice Number'] || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+        return !!vendor(a) && !!number(a) && vendor(a) === vendor(b) && number(a) === number(b);
+    },
+
+    _nearMatch(a, b, config) {
+        const amountA = Workflow._extractAmount(a);
+        const amountB = Workflow._extractAmount(b);
+        if (amountA <= 0 || amountB <= 0) return false;
+        if (Math.abs(amountA - amountB) > Math.max(amountA, amountB) * config.amountTolerance) return false;
+
+        const dateA = Dates.parse((a.extractedFields || {})['Date']);
+        const dateB = Dates.parse((b.extractedFields || {})['Date']);
+        if (!dateA || !dateB) return false;
+        return Math.abs(Dates.daysBetween(dateA, dateB)) <= config.dateWindowDays;
+    },
+
+    // 32-bit FNV-1a
+    _hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+};
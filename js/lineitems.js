@@ -0,0 +1,303 @@
+// DocFlow AI - Invoice Line Items
+// Rebuilds the line-item table of an invoice from the page layout: word boxes
+// from Tesseract for images, text item positions from pdf.js for PDFs. Words
+// are grouped into rows by vertical position and into cells by horizontal
+// gaps; the header row (Description / Qty / Unit Price / Amount) fixes the
+// columns. Subtotal, tax and total rows are read too, and check() compares
+// them with the sum of the lines.
+//
+// Layout words: { text, x0, y0, x1, y1, page } with y growing down the page.
+
+const LineItems = {
+    // Override through Storage settings under `lineItems`
+    DEFAULTS: {
+        tolerance: 0.01 // allowed difference in currency units
+    },
+
+    // Header cell patterns per column, in English, German, French and Spanish
+    // (a lookahead instead of \b, which doesn't see accented letters)
+    COLUMNS: {
+        description: /^(description|item|items|product|service|services|details|particulars|beschreibung|bezeichnung|artikel|leistung|désignation|libellé|descripción|concepto|artículo)(?![a-zà-ÿ])/i,
+        quantity: /^(qty|quantity|units?|hours|hrs|menge|anzahl|stunden|quantité|qté|cantidad|cant\.?|horas)(?![a-zà-ÿ])/i,
+        unitPrice: /^(unit\s*price|unit\s*cost|price|rate|each|einzelpreis|preis|prix\s+unitaire|prix|precio\s+unitario|precio)(?![a-zà-ÿ])/i,
+        total: /^(line\s*total|amount|total|ext(?:ended)?\.?\s*price|gesamtpreis|gesamt|betrag|montant|importe)(?![a-zà-ÿ])/i
+    },
+
+    // Labels of the rows under the table, tested in this order ("Total HT"
+    // is the French subtotal, so subtotal comes first)
+    SUMMARY: {
+        subtotal: /^(sub[\s-]?total|zwischensumme|nettobetrag|summe\s+netto|total\s+ht|montant\s+ht|sous[\s-]total|base\s+imponible)(?![a-zà-ÿ])/i,
+        tax: /^(sales\s+)?(tax|vat|gst|hst|mwst\.?|ust\.?|mehrwertsteuer|umsatzsteuer|tva|iva)(?![a-zà-ÿ])/i,
+        total: /^(grand\s+total|total|amount\s+due|balance\s+due|gesamtbetrag|rechnungsbetrag|gesamtsumme|summe|endbetrag|montant\s+ttc|net\s+à\s+payer|importe\s+total)(?![a-zà-ÿ])/i
+    },
+
+    getConfig() {
+        return {
+            ...this.DEFAULTS,
+            ...(Storage.getSettings().lineItems || {})
+        };
+    },
+
+    // Layout words from a Tesseract result's data.words
+    fromOcrWords(words, page = 1) {
+        return (words || [])
+            .filter(word => word.text && word.text.trim())
+            .map(word => ({
+                text: word.text.trim(),
+                x0: word.bbox.x0,
+                y0: word.bbox.y0,
+                x1: word.bbox.x1,
+                y1: word.bbox.y1,
+                page
+            }));
+    },
+
+    // Layout words from pdf.js getTextContent() items. PDF space grows upwards
+    // from the baseline, so y is flipped against the page height.
+    fromPdfItems(items, pageHeight, page = 1) {
+        return (items || [])
+            .filter(item => item.str && item.str.trim())
+            .map(item => {
+                const height = item.height || Math.abs(item.transform[3]);
+                const baseline = pageHeight - item.transform[5];
+                return {
+                    text: item.str.trim(),
+                    x0: item.transform[4],
+                    y0: baseline - height,
+                    x1: item.transform[4] + item.width,
+                    y1: baseline,
+                    page
+                };
+            });
+    },
+
+    // Extract and check in one go; null when the layout holds no table or totals
+    analyze(words) {
+        const table = this.extract(words);
+        return table ? { ...table, ...this.check(table) } : null;
+    },
+
+    // { items: [{ description, quantity, unitPrice, total }], subtotal, tax, total },
+    // amounts as numbers (null when not found); null when nothing was found
+    extract(words) {
+        const rows = this._groupRows(words || []);
+        if (rows.length === 0) return null;
+
+        const headerIndex = rows.findIndex(row => this._headerColumns(row));
+        const items = headerIndex >= 0
+            ? this._itemsUnderHeader(rows, headerIndex)
+            : this._itemsWithoutHeader(rows);
+
+        const summary = { subtotal: null, tax: null, total: null };
+        rows.slice(headerIndex + 1).forEach(row => {
+            const key = this._summaryKey(row);
+            const value = this._lastNumber(row);
+            if (!key || value === null) return;
+
+            // The last total row wins ("Total" followed by "Amount Due")
+            if (key === 'total' || summary[key] === null) summary[key] = value;
+        });
+
+        if (items.length === 0 && summary.total === null) return null;
+        return { items, ...summary };
+    },
+
+    // Compare each line, the lines' sum, the subtotal, tax and total.
+    // Returns { linesTotal, issues: [{ type, message }], ok }
+    check(table) {
+        const { tolerance } = this.getConfig();
+        const close = (a, b) => Math.abs(a - b) <= tolerance + 1e-9;
+        const money = value => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const issues = [];
+
+        table.items.forEach((item, index) => {
+            if (item.quantity !== null && item.unitPrice !== null && item.total !== null &&
+                !close(this._round(item.quantity * item.unitPrice), item.total)) {
+                issues.push({
+                    type: 'line',
+                    message: `Line ${index + 1}: ${item.quantity} × ${money(item.unitPrice)} is ${money(this._round(item.quantity * item.unitPrice))}, not ${money(item.total)}`
+                });
+            }
+        });
+
+        const linesTotal = this._round(table.items.reduce((sum, item) => sum + this._lineValue(item), 0));
+
+        if (table.items.length > 0 && table.subtotal !== null && !close(linesTotal, table.subtotal)) {
+            issues.push({
+                type: 'subtotal',
+                message: `Line items add up to ${money(linesTotal)} but the subtotal is ${money(table.subtotal)}`
+            });
+        }
+
+        const base = table.subtotal !== null ? table.subtotal : table.items.length > 0 ? linesTotal : null;
+        if (base !== null && table.total !== null) {
+            const expected = this._round(base + (table.tax || 0));
+            if (!close(expected, table.total)) {
+                issues.push({
+                    type: 'total',
+                    message: `${table.subtotal !== null ? 'Subtotal' : 'Line items'} ${money(base)}${table.tax !== null ? ` + tax ${money(table.tax)}` : ''} is ${money(expected)} but the total is ${money(table.total)}`
+                });
+            }
+        }
+
+        return { linesTotal, issues, ok: issues.length === 0 };
+    },
+
+    // Rows of cells, top to bottom, page by page. Words share a row when
+    // their vertical centres are within half a line; neighbouring words merge
+    // into one cell unless the gap between them is wider than a line height.
+    _groupRows(words) {
+        const centre = word => (word.y0 + word.y1) / 2;
+        const sorted = [...words].sort((a, b) => (a.page || 1) - (b.page || 1) || centre(a) - centre(b));
+        const rows = [];
+
+        sorted.forEach(word => {
+            const height = word.y1 - word.y0;
+            const row = rows[rows.length - 1];
+            if (row && row.page === (word.page || 1) && Math.abs(centre(word) - row.centre) <= Math.max(height, row.height) / 2) {
+                row.words.push(word);
+                row.centre = (row.centre * (row.words.length - 1) + centre(word)) / row.words.length;
+                row.height = Math.max(row.height, height);
+            } else {
+                rows.push({ page: word.page || 1, centre: centre(word), height, words: [word] });
+            }
+        });
+
+        return rows.map(row => {
+            const cells = [];
+            row.words.sort((a, b) => a.x0 - b.x0).forEach(word => {
+                const cell = cells[cells.length - 1];
+                if (cell && word.x0 - cell.x1 <= row.height) {
+                    cell.text += ' ' + word.text;
+                    cell.x1 = Math.max(cell.x1, word.x1);
+                } else {
+                    cells.push({ text: word.text, x0: word.x0, x1: word.x1 });
+                }
+            });
+            return { page: row.page, y0: row.centre - row.height / 2, y1: row.centre + row.height / 2, height: row.height, cells };
+        });
+    },
+
+    // Column positions when the row is a table header (a description column
+    // and at least one amount column), otherwise null
+    _headerColumns(row) {
+        const columns = [];
+        row.cells.forEach(cell => {
+            const name = Object.keys(this.COLUMNS).find(key =>
+                this.COLUMNS[key].test(cell.text) && !columns.some(column => column.name === key)
+            );
+            if (name) columns.push({ name, x0: cell.x0, x1: cell.x1 });
+        });
+
+        const names = columns.map(column => column.name);
+        if (!names.includes('description') || !(names.includes('total') || names.includes('unitPrice'))) return null;
+        return columns.sort((a, b) => a.x0 - b.x0);
+    },
+
+    // Read rows below the header until the summary rows. Each cell goes to
+    // the column whose span (up to halfway to its neighbours) holds its centre.
+    _itemsUnderHeader(rows, headerIndex) {
+        const columns = this._headerColumns(rows[headerIndex]);
+        const bounds = columns.map((column, i) => ({
+            name: column.name,
+            from: i === 0 ? -Infinity : (columns[i - 1].x1 + column.x0) / 2,
+            to: i === columns.length - 1 ? Infinity : (column.x1 + columns[i + 1].x0) / 2
+        }));
+        const items = [];
+        let previous = null;
+
+        for (const row of rows.slice(headerIndex + 1)) {
+            if (this._headerColumns(row)) continue; // header repeated on the next page
+
+            if (this._summaryKey(row)) break;
+
+            const values = {};
+            row.cells.forEach(cell => {
+                const centre = (cell.x0 + cell.x1) / 2;
+                const column = bounds.find(bound => centre >= bound.from && centre < bound.to);
+                values[column.name] = values[column.name] ? `${values[column.name]} ${cell.text}` : cell.text;
+            });
+
+            const item = {
+                description: values.description || '',
+                quantity: this._parseNumber(values.quantity),
+                unitPrice: this._parseNumber(values.unitPrice),
+                total: this._parseNumber(values.total)
+            };
+
+            if (item.quantity === null && item.unitPrice === null && item.total === null) {
+                // Wrapped description right under the line it belongs to
+                const onlyText = Object.keys(values).every(name => name === 'description');
+                if (previous && onlyText && previous.page === row.page && row.y0 - previous.y1 < row.height) {
+                    previous.item.description += ' ' + item.description;
+                    previous.y1 = row.y1;
+                }
+                continue;
+            }
+
+            items.push(item);
+            previous = { item, page: row.page, y1: row.y1 };
+        }
+
+        return items;
+    },
+
+    // Without a header, a line is a row ending in quantity, unit price and
+    // total where quantity × unit price = total
+    _itemsWithoutHeader(rows) {
+        const { tolerance } = this.getConfig();
+        const items = [];
+
+        for (const row of rows) {
+            if (this._summaryKey(row)) break;
+
+            const numbers = row.cells.slice(-3).map(cell => this._parseNumber(cell.text));
+            const description = row.cells.slice(0, -3).map(cell => cell.text).join(' ');
+            if (numbers.length < 3 || numbers.includes(null) || !description) continue;
+
+            const [quantity, unitPrice, total] = numbers;
+            if (Math.abs(this._round(quantity * unitPrice) - total) <= tolerance + 1e-9) {
+                items.push({ description, quantity, unitPrice, total });
+            }
+        }
+
+        return items;
+    },
+
+    // "$1,234.50" -> 1234.5, "1.234,50 €" -> 1234.5, "(20.00)" -> -20;
+    // null for anything else (incl. "8%")
+    _parseNumber(text) {
+        const parsed = Currency.parse(text);
+        return parsed ? parsed.value : null;
+    },
+
+    // subtotal / tax / total when the row is labelled as one, otherwise null
+    _summaryKey(row) {
+        const label = row.cells.map(cell => cell.text).join(' ').trim();
+        return Object.keys(this.SUMMARY).find(key => this.SUMMARY[key].test(label)) || null;
+    },
+
+    // Amount at the end of the row, also when it shares a cell with its label
+    _lastNumber(row) {
+        const last = row.cells[row.cells.length - 1];
+        if (!last) return null;
+
+        // Try the last word, then the last two ("€ 120.00", "120.00 CHF")
+        const words = last.text.split(/\s+/);
+        for (const count of [1, 2, words.length]) {
+            const value = this._parseNumber(words.slice(-count).join(' '));
+            if (value !== null) return value;
+        }
+        return null;
+    },
+
+    _lineValue(item) {
+        if (item.total !== null) return item.total;
+        if (item.quantity !== null && item.unitPrice !== null) return item.quantity * item.unitPrice;
+        return 0;
+    },
+
+    _round(value) {
+        return Math.round(value * 100) / 100;
+    }
+};
@@ -1,9 +1,26 @@
 // DocFlow AI - NLP Module
-// Analyzes documents using compromise.js and custom logic
+// Analyzes documents using compromise.js and custom logic. Field labels are
+// recognized in English, German, French and Spanish (the OCR languages).
 
 const NLP = {
-    // Analyze a document and extract fields
-    async analyzeDocument(text, documentType) {
+    // Words that may follow a label before the number itself:
+    // "No.", "Nr.", "N°", "Number", "Nummer", "Numéro", "Número"
+    NUMBER_WORD: '(?:\\s*(?:no\\.?|nr\\.?|n[°º]\\.?|number|nummer|numéro|número)(?![a-z]))?',
+
+    // Contract terms: unit words per language
+    TERM_UNITS: {
+        year: ['years?', 'jahren?', 'jahre', 'ans?', 'années?', 'años?'],
+        month: ['months?', 'monaten?', 'monate', 'mois', 'mes(?:es)?'],
+        day: ['days?', 'tagen?', 'tage', 'jours?', 'días?']
+    },
+
+    // Analyze a document and extract fields. source.layout (LineItems words)
+    // adds the invoice's line items and lets its total row set the amount;
+    // source.ocr ({ confidence, words } from OCR.recognize) feeds the OCR
+    // side of each field's confidence (see Confidence).
+    async analyzeDocument(text, documentType, source = {}) {
+        const { layout = null, ocr = null } = source;
+
         // Check if compromise library is loaded
         if (typeof nlp === 'undefined') {
             throw new Error('NLP library (compromise.js) is not loaded. Please ensure the script is included in your HTML.');
@@ -15,52 +32,103 @@ const NLP = {
             fields: {},
             summary: '',
             riskScore: 0,
-            keywords: []
+            keywords: [],
+            lineItems: null,
+            fieldConfidence: {}
         };
+        const found = {};
 
         if (documentType === 'invoice') {
-            analysis.fields = this.extractInvoiceFields(text, doc);
+            analysis.fields = this.extractInvoiceFields(text, doc, found);
+
+            if (layout) {
+                analysis.lineItems = LineItems.analyze(layout);
+                // A labelled total beats the largest amount on the page
+                if (analysis.lineItems && analysis.lineItems.total !== null) {
+                    const currency = analysis.fields['Currency'] || Currency.getConfig().defaultCurrency;
+                    analysis.fields['Amount'] = Currency.formatNumber(analysis.lineItems.total, currency);
+                    analysis.fields['Currency'] = currency;
+
+                    const total = this._findNumber(text, analysis.lineItems.total);
+                    this._found(found, 'Amount', 'table', total);
+                    if (!found['Currency']) this._found(found, 'Currency', 'guess', null);
+                }
+            }
         } else if (documentType === 'contract') {
-            analysis.fields = this.extractContractFields(text, doc);
+            analysis.fields = this.extractContractFields(text, doc, found);
         }
 
-        analysis.summary = this.generateSummary(text, doc, documentType);
+        analysis.fieldConfidence = Confidence.score(found, text, ocr);
+
+        analysis.summary = this.generateSummary(text, doc, documentType, documentType === 'invoice' ? analysis.fields : null);
         analysis.riskScore = this.calculateRiskScore(text, analysis.fields);
         analysis.keywords = this.extractKeywords(text, doc);
 
         return analysis;
     },
 
-    // Extract invoice-specific fields
-    extractInvoiceFields(text, doc) {
+    // Extract invoice-specific fields. found collects how and where each
+    // field was found ({ method, start, end }, see Confidence.score).
+    extractInvoiceFields(text, doc, found = {}) {
         const fields = {};
 
-        // Invoice number - look for patterns like "Invoice #123" or "INV-456"
-        const invoicePattern = /(?:invoice|inv)[\s#:-]*([A-Z0-9-]+)/i;
+        // Invoice number - look for patterns like "Invoice #123", "INV-456",
+        // "Rechnung Nr. 7", "Facture n° 12", "Factura 2024-3" (without a digit
+        // it is as likely to be the next word)
+        const invoicePattern = new RegExp(`(?:invoice|inv|rechnungs-?nr\\.?|rechnungsnummer|rechnung|facture|factura)${this.NUMBER_WORD}[\\s#:.-]*([A-Z0-9-]+)`, 'i');
         const invoiceMatch = text.match(invoicePattern);
         if (invoiceMatch) {
             fields['Invoice Number'] = invoiceMatch[1];
+            this._found(found, 'Invoice Number', /\d/.test(invoiceMatch[1]) ? 'pattern' : 'guess', this._span(invoiceMatch));
         }
 
-        // Date extraction - use regex since compromise dates() may not be available
-        const datePattern = /\b\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}\b|\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{1,2},?\s+\d{4}\b/gi;
-        const dateMatches = text.match(datePattern);
-        if (dateMatches && dateMatches.length > 0) {
-            fields['Date'] = dateMatches[0];
+        // Purchase order number - "PO# 4500012", "P.O. No: PO-881", "Purchase Order 77-A1",
+        // "Bestellnummer 4711", "Bon de commande n° 88", "Orden de compra 12"
+        // (must contain a digit, so "PO Box" is not taken for one)
+        const poPattern = new RegExp('\\b(?:P\\.?\\s?O\\.?|purchase\\s+order|bestell(?:nummer|-nr\\.?|ung)|bon\\s+de\\s+commande|commande|orden\\s+de\\s+compra|pedido)' +
+            `\\s*(?:#|${this.NUMBER_WORD})?\\s*[:#-]?\\s*((?=[A-Z0-9-]*\\d)[A-Z0-9][A-Z0-9-]*)`, 'i');
+        const poMatch = text.match(poPattern);
+        if (poMatch) {
+            fields['PO Number'] = poMatch[1];
+            this._found(found, 'PO Number', 'labeled', this._span(poMatch));
         }
 
-        // Amount - look for currency patterns
-        const amountPattern = /(?:\$|USD|EUR|GBP)\s*([0-9,]+\.?[0-9]*)/g;
-        const amounts = [];
-        let match;
-        while ((match = amountPattern.exec(text)) !== null) {
-            amounts.push(match[1]);
+        // Dates, normalized to ISO. A labelled invoice date wins, then the
+        // first date that isn't the due date; the due date comes from its
+        // label or from the invoice date plus the payment terms ("Net 30")
+        const labeled = Dates.findLabeled(text);
+        const dueIso = labeled.due ? labeled.due.iso : null;
+        const invoiceDate = labeled.invoice || Dates.findDates(text).find(date => date.iso !== dueIso);
+        if (invoiceDate) {
+            fields['Date'] = invoiceDate.iso;
+            this._found(found, 'Date', labeled.invoice ? 'labeled' : 'guess', invoiceDate);
+        }
+
+        const terms = Dates.parseTerms(text);
+        if (terms) {
+            fields['Payment Terms'] = terms.label;
+            this._found(found, 'Payment Terms', 'pattern', terms);
         }
+
+        if (labeled.due) {
+            fields['Due Date'] = labeled.due.iso;
+            this._found(found, 'Due Date', 'labeled', labeled.due);
+        } else if (invoiceDate && terms) {
+            fields['Due Date'] = Dates.addDays(invoiceDate.iso, terms.days);
+            this._found(found, 'Due Date', 'derived', terms);
+        }
+
+        // Amount - any amount with a currency symbol or code; the number and
+        // the currency code are kept as separate fields
+        const amounts = Currency.findAmounts(text);
         if (amounts.length > 0) {
-            // Take the largest amount as the total
-            fields['Amount'] = '$' + amounts.sort((a, b) =>
-                parseFloat(b.replace(/,/g, '')) - parseFloat(a.replace(/,/g, ''))
-            )[0];
+            // Take the largest amount (compared in the base currency) as the total
+            const worth = amount => Currency.toBase(amount.value, amount.currency) ?? amount.value;
+            const largest = amounts.sort((a, b) => worth(b) - worth(a))[0];
+            fields['Amount'] = Currency.formatNumber(largest.value, largest.currency);
+            fields['Currency'] = largest.currency;
+            this._found(found, 'Amount', amounts.length === 1 ? 'pattern' : 'guess', largest);
+            this._found(found, 'Currency', 'pattern', largest);
         }
 
         // Email extraction
@@ -68,33 +136,37 @@ const NLP = {
         const emails = text.match(emailPattern);
         if (emails && emails.length > 0) {
             fields['Email'] = emails[0];
+            this._found(found, 'Email', 'pattern', this._locate(text, emails[0]));
         }
 
-        // Phone number
+        // Phone number (the pattern also takes other long numbers)
         const phonePattern = /(\+?[0-9]{1,3}[-.\s]?)?(\(?[0-9]{3}\)?[-.\s]?)?[0-9]{3}[-.\s]?[0-9]{4}/g;
         const phones = text.match(phonePattern);
         if (phones && phones.length > 0) {
             fields['Phone'] = phones[0];
+            this._found(found, 'Phone', 'guess', this._locate(text, phones[0]));
         }
 
         // Company name - use NLP to extract organizations
         const orgs = doc.match('#Organization').out('array');
         if (orgs.length > 0) {
             fields['Vendor'] = orgs[0];
+            this._found(found, 'Vendor', 'entity', this._locate(text, orgs[0]));
         }
 
         return fields;
     },
 
-    // Extract contract-specific fields
-    extractContractFields(text, doc) {
+    // Extract contract-specific fields (found: see extractInvoiceFields)
+    extractContractFields(text, doc, found = {}) {
         const fields = {};
 
-        // Contract number
-        const contractPattern = /(?:contract|agreement)[\s#:-]*([A-Z0-9-]+)/i;
+        // Contract number ("Contract", "Agreement", "Vertrag", "Contrat", "Contrato", ...)
+        const contractPattern = new RegExp(`(?:contract|agreement|vertragsnummer|vertrag|vereinbarung|contrato|contrat|acuerdo)${this.NUMBER_WORD}[\\s#:.-]*([A-Z0-9-]+)`, 'i');
         const contractMatch = text.match(contractPattern);
         if (contractMatch) {
             fields['Contract Number'] = contractMatch[1];
+            this._found(found, 'Contract Number', /\d/.test(contractMatch[1]) ? 'pattern' : 'guess', this._span(contractMatch));
         }
 
         // Parties involved - extract people and organizations
@@ -103,53 +175,73 @@ const NLP = {
 
         if (people.length > 0) {
             fields['Party 1'] = people[0];
+            this._found(found, 'Party 1', 'entity', this._locate(text, people[0]));
             if (people.length > 1) {
                 fields['Party 2'] = people[1];
+                this._found(found, 'Party 2', 'entity', this._locate(text, people[1]));
             }
         }
 
         if (orgs.length > 0) {
             fields['Company'] = orgs[0];
+            this._found(found, 'Company', 'entity', this._locate(text, orgs[0]));
         }
 
-        // Dates - use regex extraction
-        const datePattern = /\b\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}\b|\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{1,2},?\s+\d{4}\b/gi;
-        const dateMatches = text.match(datePattern);
-        if (dateMatches && dateMatches.length > 0) {
-            fields['Effective Date'] = dateMatches[0];
-            if (dateMatches.length > 1) {
-                fields['Expiration Date'] = dateMatches[1];
-            }
-        }
-
-        // Terms - look for duration patterns
-        const termPattern = /(\d+)\s*(year|month|day)s?/i;
+        // Terms - look for duration patterns ("2 years", "24 Monate", "3 ans"),
+        // always stored in English
+        const unitWords = Object.values(this.TERM_UNITS).flat().join('|');
+        const termPattern = new RegExp(`(\\d+)\\s*(${unitWords})(?![a-zà-ÿ])`, 'i');
         const termMatch = text.match(termPattern);
         if (termMatch) {
-            fields['Term'] = `${termMatch[1]} ${termMatch[2]}${parseInt(termMatch[1]) > 1 ? 's' : ''}`;
+            const unit = Object.keys(this.TERM_UNITS).find(key =>
+                this.TERM_UNITS[key].some(word => new RegExp(`^${word}$`, 'i').test(termMatch[2])));
+            fields['Term'] = `${termMatch[1]} ${unit}${parseInt(termMatch[1]) > 1 ? 's' : ''}`;
+            this._found(found, 'Term', 'pattern', this._span(termMatch));
+        }
+
+        // Dates, normalized to ISO: labelled ones first, otherwise the first
+        // date and the next one after it; without a later date the term sets the end
+        const labeled = Dates.findLabeled(text);
+        const labeledIsos = [labeled.effective, labeled.expiration].filter(Boolean).map(date => date.iso);
+        const others = Dates.findDates(text).filter(date => !labeledIsos.includes(date.iso));
+        const effectiveDate = labeled.effective || others.shift();
+        if (effectiveDate) {
+            fields['Effective Date'] = effectiveDate.iso;
+            this._found(found, 'Effective Date', labeled.effective ? 'labeled' : 'guess', effectiveDate);
+        }
+
+        const laterDate = others.find(date => !effectiveDate || date.iso > effectiveDate.iso);
+        if (labeled.expiration || laterDate) {
+            const expirationDate = labeled.expiration || laterDate;
+            fields['Expiration Date'] = expirationDate.iso;
+            this._found(found, 'Expiration Date', labeled.expiration ? 'labeled' : 'guess', expirationDate);
+        } else if (effectiveDate && fields['Term']) {
+            const expirationIso = Dates.addTerm(effectiveDate.iso, fields['Term']);
+            if (expirationIso) {
+                fields['Expiration Date'] = expirationIso;
+                this._found(found, 'Expiration Date', 'derived', this._span(termMatch));
+            }
         }
 
         // Contract value
-        const amountPattern = /(?:\$|USD|EUR|GBP)\s*([0-9,]+\.?[0-9]*)/g;
-        const amounts = [];
-        let match;
-        while ((match = amountPattern.exec(text)) !== null) {
-            amounts.push(match[1]);
-        }
+        const amounts = Currency.findAmounts(text);
         if (amounts.length > 0) {
-            fields['Value'] = '$' + amounts[0];
+            fields['Value'] = Currency.formatNumber(amounts[0].value, amounts[0].currency);
+            fields['Currency'] = amounts[0].currency;
+            this._found(found, 'Value', amounts.length === 1 ? 'pattern' : 'guess', amounts[0]);
+            this._found(found, 'Currency', 'pattern', amounts[0]);
         }
 
         return fields;
     },
 
-    // Generate a summary of the document
-    generateSummary(text, doc, documentType) {
+    // Generate a summary of the document (fields: already extracted ones, if any)
+    generateSummary(text, doc, documentType, fields = null) {
         const sentences = doc.sentences().out('array');
         const wordCount = text.split(/\s+/).length;
-        const fields = documentType === 'invoice' ?
+        fields = fields || (documentType === 'invoice' ?
             this.extractInvoiceFields(text, doc) :
-            this.extractContractFields(text, doc);
+            this.extractContractFields(text, doc));
 
         let summary = '';
 
@@ -177,12 +269,19 @@ const NLP = {
 
         // Key Information
         const invoiceNum = fields['Invoice Number'] || 'Not found';
-        const amount = fields['Amount'] || 'Not specified';
+        const money = Currency.fromFields(fields);
+        const amount = money ? Currency.format(money.value, money.currency) : 'Not specified';
         const date = fields['Date'] || 'Not specified';
         const vendor = fields['Vendor'] || 'Unknown';
 
         summary += `**Invoice ${invoiceNum}** from ${vendor}\n\n`;
         summary += `**Amount:** ${amount} | **Date:** ${date}\n\n`;
+        if (fields['Due Date']) {
+            summary += `**Due:** ${fields['Due Date']}${fields['Payment Terms'] ? ` (${fields['Payment Terms']})` : ''}\n\n`;
+        }
+        if (fields['PO Number']) {
+            summary += `**Purchase Order:** ${fields['PO Number']}\n\n`;
+        }
 
         // Content Insight
         if (sentences.length > 0) {
@@ -191,7 +290,7 @@ const NLP = {
 
         // Intelligent Analysis
         summary += '**AI Assessment:**\n';
-        const amountValue = parseFloat(amount.replace(/[$,]/g, '')) || 0;
+        const amountValue = money ? money.base : 0;
 
         if (amountValue > 10000) {
             summary += '• ⚠️ High-value transaction detected - Verify authorization\n';
@@ -207,6 +306,9 @@ const NLP = {
         if (!fields['Date']) {
             summary += '• ⚠️ Missing date - Verify invoice validity\n';
         }
+        if (fields['Due Date'] && fields['Due Date'] < Dates.today()) {
+            summary += `• ⚠️ Payment overdue since ${fields['Due Date']} - Check for late fees\n`;
+        }
 
         if (fields['Email']) {
             summary += `• Contact available at ${fields['Email']}\n`;
@@ -218,7 +320,9 @@ const NLP = {
             summary += ' 1. Auto-approve payment processing\n';
             summary += ' 2. Schedule payment according to terms\n';
         } else {
-            summary += ' 1. Verify invoice against purchase order\n';
+            summary += fields['PO Number']
+                ? ` 1. Verify invoice against purchase order ${fields['PO Number']}\n`
+                : ' 1. Request the purchase order number from the vendor\n';
             summary += ' 2. Confirm vendor details and amounts\n';
             if (amountValue > 10000) {
                 summary += ' 3. Obtain management approval\n';
@@ -235,13 +339,14 @@ const NLP = {
         // Key Information
         const contractNum = fields['Contract Number'] || 'Not specified';
         const company = fields['Company'] || 'Unknown party';
-        const value = fields['Value'] || 'Not specified';
+        const money = Currency.fromFields(fields);
+        const value = money ? Currency.format(money.value, money.currency) : 'Not specified';
         const effectiveDate = fields['Effective Date'] || 'Not specified';
         const term = fields['Term'] || 'Not specified';
 
         summary += `**Contract ${contractNum}** with ${company}\n\n`;
         summary += `**Value:** ${value} | **Term:** ${term}\n\n`;
-        summary += `**Effective Date:** ${effectiveDate}\n\n`;
+        summary += `**Effective Date:** ${effectiveDate}${fields['Expiration Date'] ? ` | **Expires:** ${fields['Expiration Date']}` : ''}\n\n`;
 
         // Content Insight
         if (sentences.length > 0) {
@@ -251,7 +356,7 @@ const NLP = {
         // Intelligent Analysis
         summary += '**AI Assessment:**\n';
 
-        const valueAmount = parseFloat(value.replace(/[$,]/g, '')) || 0;
+        const valueAmount = money ? money.base : 0;
         if (valueAmount > 100000) {
             summary += '• ⚠️ High-value contract - Legal review required\n';
         }
@@ -275,6 +380,9 @@ const NLP = {
         if (!fields['Effective Date']) {
             summary += '• ⚠️ Missing effective date - Clarify start date\n';
         }
+        if (fields['Expiration Date'] && fields['Expiration Date'] < Dates.today()) {
+            summary += `• ⚠️ Contract expired on ${fields['Expiration Date']} - Confirm it was renewed\n`;
+        }
 
         // Actionable Suggestions
         summary += '\n**Recommended Actions:**\n';
@@ -327,21 +435,19 @@ const NLP = {
         });
         riskScore += Math.min(mediumRiskCount, 3);
 
-        // Large amounts increase risk (if amount > $10,000)
-        if (fields['Amount'] || fields['Value']) {
-            const amountStr = fields['Amount'] || fields['Value'];
-            const amount = parseFloat(amountStr.replace(/[$,]/g, ''));
-            if (!isNaN(amount)) {
-                if (amount > 10000) {
-                    riskScore += 2;
-                } else if (amount > 5000) {
-                    riskScore += 1;
-                }
+        // Large amounts increase risk (if amount > $10,000 after conversion)
+        const money = Currency.fromFields(fields);
+        if (money) {
+            if (money.base > 10000) {
+                riskScore += 2;
+            } else if (money.base > 5000) {
+                riskScore += 1;
             }
         }
 
         // Missing critical fields increases risk slightly (only if we have very few fields)
-        const fieldsCount = Object.keys(fields).length;
+        // (the currency code only qualifies the amount, so it doesn't count)
+        const fieldsCount = Object.keys(fields).filter(key => key !== 'Currency').length;
         if (fieldsCount === 0) {
             riskScore += 3; // No fields extracted at all
         } else if (fieldsCount === 1) {
@@ -370,6 +476,36 @@ const NLP = {
         return allKeywords.slice(0, 10);
     },
 
+    // Record how a field was found; match is { index, text } or null
+    _found(found, field, method, match) {
+        found[field] = match
+            ? { method, start: match.index, end: match.index + match.text.length }
+            : { method, start: null, end: null };
+    },
+
+    // { index, text } of a whole regex match
+    _span(match) {
+        return match ? { index: match.index, text: match[0] } : null;
+    },
+
+    // { index, text } of the first occurrence of a value, or null
+    _locate(text, value) {
+        const index = text.indexOf(value);
+        return index >= 0 ? { index, text: value } : null;
+    },
+
+    // Last number in the text with the given value (a table total is
+    // usually the last figure on the page), as { index, text }, or null
+    _findNumber(text, value) {
+        const pattern = /\d(?:[\d.,']*\d)?/g;
+        let last = null;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (Currency.parseNumber(match[0]) === value) last = { index: match.index, text: match[0] };
+        }
+        return last;
+    },
+
     // Sentiment analysis (basic)
     analyzeSentiment(text) {
         if (typeof nlp === 'undefined') {
@@ -1,98 +1,456 @@
 // DocFlow AI - OCR Module
 // Extracts text from images using Tesseract.js
+//
+// Images are recognized on a pool of workers (a Tesseract scheduler per
+// language). Jobs wait in a queue for one of workerCount slots, so a batch
+// runs several pages at once without decoding every image up front, and each
+// job can be cancelled through an AbortSignal. Pools only grow while all of
+// them together hold fewer than workerCount workers; pools of languages with
+// no running job are closed to make room for another language.
+//
+// Language packs are loaded from langPath on this server (lib/tessdata by
+// default), which must hold eng.traineddata.gz, deu.traineddata.gz,
+// fra.traineddata.gz and spa.traineddata.gz, e.g. from the tessdata_fast
+// repository. A missing pack fails with an error naming the file rather than
+// falling back to the network.
 
 const OCR = {
-    worker: null,
+    // Per language: { scheduler, size, ready }, workers added on demand
+    pools: {},
 
-    // Initialize Tesseract worker
-    async initialize() {
-        if (this.worker) return this.worker;
+    // Jobs waiting for a slot, oldest first, and jobs holding one
+    queue: [],
+    active: [],
+    nextJobId: 1,
+
+    MAX_WORKERS: 8,
+
+    // What a job is doing, by Tesseract log status where there is one;
+    // onProgress callbacks get these labels
+    STAGES: {
+        queued: 'Waiting for an OCR worker',
+        preprocessing: 'Preparing image',
+        'loading tesseract core': 'Loading OCR engine',
+        'initializing tesseract': 'Starting OCR engine',
+        'loading language traineddata': 'Loading language',
+        'initializing api': 'Initializing',
+        'recognizing text': 'Recognizing text'
+    },
+
+    // Override through Storage settings under `ocr`
+    DEFAULTS: {
+        language: 'eng', // default for uploads; 'auto' detects it
+        langPath: 'lib/tessdata', // folder holding the .traineddata.gz files
+        workerCount: 2 // images recognized at the same time
+    },
+
+    LANGUAGES: {
+        eng: 'English',
+        deu: 'German',
+        fra: 'French',
+        spa: 'Spanish'
+    },
+
+    // Common words per language, for telling them apart in recognized text
+    LANGUAGE_HINTS: {
+        eng: ['the', 'and', 'of', 'to', 'for', 'invoice', 'total', 'date', 'amount', 'payment', 'due', 'please', 'agreement'],
+        deu: ['der', 'die', 'das', 'und', 'für', 'mit', 'rechnung', 'betrag', 'datum', 'gesamt', 'zahlbar', 'bitte', 'vertrag'],
+        fra: ['le', 'les', 'et', 'des', 'pour', 'du', 'facture', 'montant', 'total', 'payer', 'date', 'contrat', 'merci'],
+        spa: ['el', 'los', 'las', 'y', 'del', 'para', 'con', 'factura', 'importe', 'fecha', 'pago', 'contrato', 'gracias']
+    },
+
+    getConfig() {
+        return {
+            ...this.DEFAULTS,
+            ...(Storage.getSettings().ocr || {})
+        };
+    },
+
+    updateConfig(updates) {
+        const config = { ...this.getConfig(), ...updates };
+
+        if (config.language !== 'auto' && !this.LANGUAGES[config.language]) {
+            throw new Error(`Unsupported OCR language: ${config.language}`);
+        }
+        config.langPath = String(config.langPath || '').trim().replace(/\/+$/, '');
+        if (!config.langPath) {
+            throw new Error('Language pack folder is required');
+        }
+        const workerCount = Number(config.workerCount);
+        if (!Number.isInteger(workerCount) || workerCount < 1 || workerCount > this.MAX_WORKERS) {
+            throw new Error(`Number of OCR workers must be between 1 and ${this.MAX_WORKERS}`);
+        }
+        config.workerCount = workerCount;
+
+        Storage.updateSettings({ ocr: config });
+
+        // Pools are sized when they grow; start them afresh while nothing runs
+        if (this.queue.length === 0 && this.active.length === 0) {
+            this.terminate();
+        }
+
+        Audit.log({
+            action: Audit.Actions.SETTINGS_CHANGE,
+            details: `Updated OCR: ${config.workerCount} worker${config.workerCount === 1 ? '' : 's'}, default language ${config.language === 'auto' ? 'detected' : this.LANGUAGES[config.language]}, language packs from ${config.langPath}/`,
+            metadata: { ocr: config }
+        });
+
+        return {
+            success: true,
+            message: 'OCR settings saved',
+            config
+        };
+    },
+
+    // Configured language, or English when that is 'auto'
+    defaultLanguage() {
+        const { language } = this.getConfig();
+        return language === 'auto' ? 'eng' : language;
+    },
+
+    // Scheduler for a language once its first worker is up. Later calls add
+    // workers in the background while there is room (see _makeRoom).
+    async initialize(language = 'eng') {
+        if (!this.LANGUAGES[language]) {
+            throw new Error(`Unsupported OCR language: ${language}`);
+        }
+
+        let pool = this.pools[language];
+        const room = this._makeRoom(language);
+        if (!pool) {
+            // A language always gets its first worker, or its job could never run
+            pool = this.pools[language] = { scheduler: Tesseract.createScheduler(), size: 1 };
+            pool.ready = this._addWorker(pool, language).catch(error => {
+                if (this.pools[language] === pool) delete this.pools[language];
+                throw error;
+            });
+        } else if (room) {
+            pool.size++;
+            pool.ready
+                .then(() => this._addWorker(pool, language))
+                .catch(() => pool.size--);
+        }
+
+        await pool.ready;
+        return pool.scheduler;
+    },
+
+    async _addWorker(pool, language) {
+        const { langPath } = this.getConfig();
+        await this._checkLanguagePack(language, langPath);
 
         try {
-            this.worker = await Tesseract.createWorker('eng', 1, {
-                logger: (m) => {
-                    if (m.status === 'recognizing text') {
-                        console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-                    }
-                }
+            const worker = await Tesseract.createWorker(language, 1, {
+                langPath,
+                logger: (m) => this._route(m, language)
             });
-            console.log('✅ OCR worker initialized');
-            return this.worker;
+            if (pool.closed) {
+                await worker.terminate();
+                return;
+            }
+            pool.scheduler.addWorker(worker);
+            console.log(`✅ OCR worker initialized (${this.LANGUAGES[language]})`);
         } catch (error) {
             console.error('Failed to initialize OCR worker:', error);
-            throw new Error('OCR initialization failed');
+            throw new Error(`OCR initialization failed for ${this.LANGUAGES[language]}`);
         }
     },
 
-    // Extract text from an image file
-    async extractText(file, onProgress = null) {
-        try {
-            // Initialize worker if not already done
-            await this.initialize();
+    // Whether another worker fits in workerCount across all pools. At the
+    // limit, pools of other languages with no running job are closed.
+    _makeRoom(language) {
+        const { workerCount } = this.getConfig();
+        const total = () => Object.values(this.pools).reduce((sum, pool) => sum + pool.size, 0);
 
-            // Convert file to image URL
-            const imageUrl = URL.createObjectURL(file);
+        Object.entries(this.pools).forEach(([other, pool]) => {
+            if (total() < workerCount || other === language) return;
+            if (this.active.some(job => job.language === other)) return;
 
-            // Perform OCR (without per-call logger to avoid DataCloneError in Worker)
-            const result = await this.worker.recognize(imageUrl);
+            delete this.pools[other];
+            this._closePool(pool);
+            console.log(`OCR workers for ${this.LANGUAGES[other]} closed to make room`);
+        });
 
-            // Clean up
-            URL.revokeObjectURL(imageUrl);
+        return total() < workerCount;
+    },
 
-            // Return extracted text
-            const text = result.data.text;
-            console.log(`✅ Extracted ${text.length} characters from ${file.name}`);
+    // Stop a pool's workers, including any still starting
+    _closePool(pool) {
+        pool.closed = true;
+        return pool.ready
+            .then(() => pool.scheduler.terminate())
+            .catch(() => {});
+    },
 
-            // Call progress callback with 100% on completion
-            if (onProgress) {
-                onProgress(1.0);
-            }
+    // Throws unless the language pack can be fetched from langPath
+    async _checkLanguagePack(language, langPath) {
+        const file = `${langPath}/${language}.traineddata.gz`;
+        let response = null;
+        try {
+            response = await fetch(file, { method: 'HEAD' });
+        } catch (error) {
+            console.error(`Failed to check ${file}:`, error);
+        }
+        if (!response || !response.ok) {
+            throw new Error(`${this.LANGUAGES[language]} language pack not found: add ${language}.traineddata.gz to ${langPath}/`);
+        }
+    },
 
-            return text;
+    // Extract text from an image file
+    async extractText(file, onProgress = null, options = {}) {
+        const result = await this.recognize(file, onProgress, options);
+        return result.text;
+    },
 
+    // OCR an image file: { text, confidence, words: [{ text, confidence, bbox, start, end }] }.
+    // Word boxes (pixels, top-left origin) let LineItems rebuild tables; start
+    // and end are the word's offsets in text (null if it can't be found there),
+    // so Confidence can score fields by the words they were read from.
+    // options.preprocess overrides the preprocessing settings for this call
+    // (false skips it); the steps taken come back as preprocessing.
+    // options.language picks the language pack (default: the configured one);
+    // with 'auto' the text is read in the default language first and read
+    // again when it looks like another one. The language used comes back as
+    // language.
+    // The job waits in the queue for a free slot; onProgress(progress, stage)
+    // gets the share of it done (0-1) and a STAGES label. Aborting options.signal drops the job from the queue,
+    // or discards its result if it is already running, and rejects with an
+    // AbortError.
+    async recognize(file, onProgress = null, options = {}) {
+        try {
+            return await this._enqueue(file.name, job => this._run(job, file, options), onProgress, options.signal);
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
             console.error('OCR extraction error:', error);
             throw new Error(`Failed to extract text: ${error.message}`);
         }
     },
 
-    // Extract text from multiple images
-    async extractMultiple(files, onFileProgress = null) {
-        const results = [];
+    async _run(job, file, options) {
+        const config = this.getConfig();
+        const requested = options.language || config.language;
+        const detect = requested === 'auto';
+        let language = detect ? this.defaultLanguage() : requested;
+
+        this._progress(job, 0, 'preprocessing');
+        const prepared = await this.preprocessImage(file, options.preprocess);
+        this._checkCancelled(job);
+        this._progress(job, 0.1, 'preprocessing');
+
+        // With detection, a second read may follow, so the first gets half
+        let result = await this._recognizeWith(job, language, prepared.image, prepared.rotateAuto, detect ? [0.1, 0.55] : [0.1, 1]);
 
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
+        if (detect) {
+            const detected = this.detectLanguage(result.data.text);
+            if (detected && detected !== language) {
+                this._checkCancelled(job);
+                const retry = await this._recognizeWith(job, detected, prepared.image, prepared.rotateAuto, [0.55, 1]);
+                console.log(`OCR language looks like ${this.LANGUAGES[detected]}: ${this.getConfidence(result)}% → ${this.getConfidence(retry)}%`);
+                if (this.getConfidence(retry) >= this.getConfidence(result)) {
+                    result = retry;
+                    language = detected;
+                }
+            }
+        }
+        this._checkCancelled(job);
 
+        const text = result.data.text;
+        console.log(`✅ Extracted ${text.length} characters from ${file.name}`);
+        this._progress(job, 1, 'recognizing text');
+
+        // Words come in reading order, so each is looked up after the last
+        let cursor = 0;
+        const words = (result.data.words || []).map(word => {
+            const start = word.text ? text.indexOf(word.text, cursor) : -1;
+            if (start >= 0) cursor = start + word.text.length;
+            return {
+                text: word.text,
+                confidence: word.confidence,
+                bbox: word.bbox,
+                start: start >= 0 ? start : null,
+                end: start >= 0 ? cursor : null
+            };
+        });
+
+        return {
+            text,
+            confidence: this.getConfidence(result),
+            words,
+            language,
+            preprocessing: prepared.steps
+        };
+    },
+
+    // Language of a text by its common words, or null when unclear
+    detectLanguage(text) {
+        const words = (text || '').toLowerCase().split(/[^a-zà-ÿß]+/).filter(Boolean);
+        const scores = Object.entries(this.LANGUAGE_HINTS).map(([language, hints]) => ({
+            language,
+            hits: words.filter(word => hints.includes(word)).length
+        })).sort((a, b) => b.hits - a.hits);
+
+        const [best, runnerUp] = scores;
+        return best.hits >= 3 && best.hits >= runnerUp.hits * 1.5 ? best.language : null;
+    },
+
+    // Recognize on the language's pool. The Tesseract job id carries ours so
+    // worker progress reaches this job, where it fills range (of 0-1).
+    async _recognizeWith(job, language, image, rotateAuto, range) {
+        job.language = language;
+        job.range = range;
+        job.recognizing = false;
+        job.pass = (job.pass || 0) + 1;
+
+        const scheduler = await this.initialize(language);
+        this._checkCancelled(job);
+        return scheduler.addJob('recognize', image, { rotateAuto }, undefined, `${job.id}:${job.pass}`);
+    },
+
+    // Log messages of a language's workers. Tesseract can't take a logger
+    // per recognize call (functions don't survive the trip to the worker), so
+    // each message goes to the job it is about: recognition to the job whose
+    // id it carries, worker start-up to the jobs of that language still
+    // waiting to be recognized.
+    _route(m, language) {
+        if (!this.STAGES[m.status]) return;
+
+        if (m.status === 'recognizing text') {
+            const tesseractJobId = String(m.userJobId || m.jobId || '');
+            const job = this.active.find(active => tesseractJobId === `${active.id}:${active.pass}`);
+            if (!job) return;
+
+            const [from, to] = job.range;
+            job.recognizing = true;
+            this._progress(job, from + (to - from) * m.progress, m.status);
+            return;
+        }
+
+        this.active
+            .filter(job => job.language === language && !job.recognizing)
+            .forEach(job => this._progress(job, job.progress, m.status));
+    },
+
+    // Queue work for a slot; resolves or rejects with what work(job) does
+    _enqueue(name, work, onProgress, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this._cancelledError());
+                return;
+            }
+
+            const job = { id: `ocr-${this.nextJobId++}`, name, status: 'queued', stage: 'queued', progress: 0, work, onProgress, resolve, reject };
+            if (signal) {
+                signal.addEventListener('abort', () => this.cancel(job), { once: true });
+            }
+
+            this.queue.push(job);
+            this._report(job);
+            this._dequeue();
+        });
+    },
+
+    // Start queued jobs while slots are free
+    _dequeue() {
+        const { workerCount } = this.getConfig();
+
+        while (this.active.length < workerCount && this.queue.length > 0) {
+            const job = this.queue.shift();
+            job.status = 'running';
+            this.active.push(job);
+
+            job.work(job)
+                .then(result => this._settle(job, 'done', () => job.resolve(result)))
+                .catch(error => this._settle(job, 'failed', () => job.reject(error)));
+        }
+    },
+
+    // The job's work ended: free its slot (a cancelled job was settled already)
+    _settle(job, status, settle) {
+        this.active = this.active.filter(active => active !== job);
+        if (job.status === 'running') {
+            job.status = status;
+            settle();
+        }
+        this._dequeue();
+    },
+
+    // Cancel a queued or running job. A page already being recognized can't
+    // be interrupted: its worker finishes it and the result is dropped.
+    cancel(job) {
+        if (job.status === 'queued') {
+            this.queue = this.queue.filter(queued => queued !== job);
+        } else if (job.status !== 'running') {
+            return;
+        }
+
+        job.status = 'cancelled';
+        job.reject(this._cancelledError());
+        console.log(`OCR job cancelled: ${job.name}`);
+    },
+
+    // Stop a running job between steps once it was cancelled
+    _checkCancelled(job) {
+        if (job.status === 'cancelled') {
+            throw this._cancelledError();
+        }
+    },
+
+    _cancelledError() {
+        const error = new Error('OCR cancelled');
+        error.name = 'AbortError';
+        return error;
+    },
+
+    // Move a running job forward (progress never goes back) or into a stage
+    _progress(job, progress, stage) {
+        if (job.status !== 'running') return;
+        if (progress <= job.progress && stage === job.stage) return;
+
+        job.progress = Math.max(job.progress, progress);
+        job.stage = stage;
+        this._report(job);
+    },
+
+    _report(job) {
+        if (job.onProgress) {
+            job.onProgress(job.progress, this.STAGES[job.stage]);
+        }
+    },
+
+    // Extract text from multiple images, several at a time on the pool.
+    // onFileProgress(index, total, progress, stage) follows each file; options go to
+    // recognize (a signal cancels the files not done yet).
+    async extractMultiple(files, onFileProgress = null, options = {}) {
+        return Promise.all(files.map(async (file, i) => {
             try {
-                const text = await this.extractText(file, (progress) => {
+                const text = await this.extractText(file, (progress, stage) => {
                     if (onFileProgress) {
-                        onFileProgress(i, files.length, progress);
+                        onFileProgress(i, files.length, progress, stage);
                     }
-                });
+                }, options);
 
-                results.push({
+                return {
                     file: file.name,
                     success: true,
                     text
-                });
+                };
             } catch (error) {
-                results.push({
+                return {
                     file: file.name,
                     success: false,
                     error: error.message
-                });
+                };
             }
-        }
-
-        return results;
+        }));
     },
 
-    // Terminate worker to free resources
+    // Terminate workers to free resources
     async terminate() {
-        if (this.worker) {
-            await this.worker.terminate();
-            this.worker = null;
-            console.log('OCR worker terminated');
+        const pools = Object.values(this.pools);
+        this.pools = {};
+        await Promise.all(pools.map(pool => this._closePool(pool)));
+        if (pools.length > 0) {
+            console.log('OCR workers terminated');
         }
     },
 
@@ -104,15 +462,22 @@ const OCR = {
         return 0;
     },
 
-    // Preprocess image for better OCR (if needed)
-    async preprocessImage(imageFile) {
-        // This would include operations like:
-        // - Grayscale conversion
-        // - Noise reduction
-        // - Contrast enhancement
-        // - Deskewing
-        // For now, we return the original file
-        return imageFile;
+    // Clean up an image for OCR (see Preprocess). overrides adjust the
+    // configured steps; false skips them. Returns { image, steps, rotateAuto }
+    // where image is a canvas, or the file itself when nothing was done.
+    async preprocessImage(imageFile, overrides = {}) {
+        const config = overrides === false ? { enabled: false } : { ...Preprocess.getConfig(), ...overrides };
+        if (!config.enabled) {
+            return { image: imageFile, steps: [], rotateAuto: false };
+        }
+
+        try {
+            return await Preprocess.run(imageFile, overrides);
+        } catch (error) {
+            // An image the browser can't decode may still be readable by Tesseract
+            console.error('Image preprocessing failed, using the original:', error);
+            return { image: imageFile, steps: [], rotateAuto: false };
+        }
     }
 };
 
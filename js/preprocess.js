@@ -0,0 +1,363 @@
+// DocFlow AI - Image Preprocessing
+// Cleans up photos and scans before OCR, on a canvas: the photo's own
+// orientation is applied when it is decoded, then grayscale, contrast
+// stretch, noise removal (3×3 median), adaptive threshold (local mean),
+// rotation of sideways pages and deskew. Deskew either estimates the angle of
+// the text lines here (a Hough-style vote over candidate angles) or leaves it
+// to Tesseract's own page-angle detection (rotateAuto).
+//
+// Pixel steps work on a grayscale copy (one byte per pixel, 0 = black), so
+// contrast, noise removal and threshold imply grayscale. They run on the main
+// thread in linear time, handing control back to the page between steps.
+
+const Preprocess = {
+    // Override through Storage settings under `ocrPreprocess`
+    DEFAULTS: {
+        enabled: true,
+        maxDimension: 3000, // larger photos are scaled down first (pixels)
+        grayscale: true,
+        contrast: true,
+        denoise: true,
+        threshold: true,
+        thresholdWindow: 31, // side of the neighbourhood the threshold averages (pixels, odd)
+        thresholdOffset: 10, // how much darker than its neighbourhood a pixel must be to turn black
+        rotation: '0', // '0', '90', '180', '270' (degrees clockwise) or 'auto' (a guess, see detectQuarterTurn)
+        deskew: 'estimate', // 'estimate', 'tesseract' or 'off'
+        maxSkew: 15 // largest skew the estimate looks for (degrees)
+    },
+
+    // Steps in the order they run, for settings forms
+    STEPS: {
+        grayscale: { label: 'Grayscale' },
+        contrast: { label: 'Contrast stretch' },
+        denoise: { label: 'Noise removal' },
+        threshold: { label: 'Adaptive threshold' },
+        rotation: {
+            label: 'Rotation correction',
+            choices: {
+                auto: 'Guess sideways pages (turns them clockwise)',
+                0: 'None',
+                90: '90° clockwise',
+                180: '180°',
+                270: '90° counter-clockwise'
+            }
+        },
+        deskew: {
+            label: 'Deskew',
+            choices: {
+                estimate: 'Estimate from text lines',
+                tesseract: "Tesseract's detected angle",
+                off: 'Off'
+            }
+        }
+    },
+
+    getConfig() {
+        return {
+            ...this.DEFAULTS,
+            ...(Storage.getSettings().ocrPreprocess || {})
+        };
+    },
+
+    updateConfig(updates) {
+        const config = { ...this.getConfig(), ...updates };
+        config.rotation = String(config.rotation);
+
+        ['rotation', 'deskew'].forEach(step => {
+            if (!(config[step] in this.STEPS[step].choices)) {
+                throw new Error(`Unknown ${this.STEPS[step].label.toLowerCase()} setting: ${config[step]}`);
+            }
+        });
+        const windowSize = Number(config.thresholdWindow);
+        if (!Number.isInteger(windowSize) || windowSize < 3 || windowSize % 2 === 0) {
+            throw new Error('Threshold window must be an odd number of pixels, at least 3');
+        }
+        const offset = Number(config.thresholdOffset);
+        if (isNaN(offset) || offset < 0 || offset > 100) {
+            throw new Error('Threshold offset must be between 0 and 100');
+        }
+        const maxDimension = Number(config.maxDimension);
+        if (!Number.isInteger(maxDimension) || maxDimension < 500) {
+            throw new Error('Maximum image size must be at least 500 pixels');
+        }
+        Object.assign(config, { thresholdWindow: windowSize, thresholdOffset: offset, maxDimension });
+
+        Storage.updateSettings({ ocrPreprocess: config });
+
+        Audit.log({
+            action: Audit.Actions.SETTINGS_CHANGE,
+            details: 'Updated OCR preprocessing: ' + (config.enabled
+                ? Object.keys(this.STEPS)
+                    .filter(step => this.STEPS[step].choices ? config[step] !== 'off' && config[step] !== '0' : config[step])
+                    .map(step => this.STEPS[step].choices
+                        ? `${this.STEPS[step].label} (${this.STEPS[step].choices[config[step]]})`
+                        : this.STEPS[step].label)
+                    .join(', ')
+                : 'off'),
+            metadata: { ocrPreprocess: config }
+        });
+
+        return {
+            success: true,
+            message: 'Preprocessing settings saved',
+            config
+        };
+    },
+
+    // Run the pipeline on an image file. Returns { image: canvas, steps:
+    // [{ step, detail }], rotation, skewAngle, rotateAuto } where rotateAuto
+    // asks Tesseract to deskew.
+    async run(file, overrides = {}) {
+        const config = { ...this.getConfig(), ...overrides };
+        const steps = [];
+
+        // Decoding applies the orientation a phone camera stored in the photo
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        const scale = Math.min(1, config.maxDimension / Math.max(bitmap.width, bitmap.height));
+        let canvas = this._canvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        if (scale < 1) {
+            steps.push({ step: 'resize', detail: `Scaled down to ${canvas.width}×${canvas.height}` });
+        }
+
+        if (config.grayscale || config.contrast || config.denoise || config.threshold) {
+            const context = canvas.getContext('2d');
+            const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+            const { width, height } = canvas;
+            let gray = this.grayscale(imageData.data);
+            steps.push({ step: 'grayscale', detail: config.grayscale ? 'Converted to grayscale' : 'Converted to grayscale (needed by the steps below)' });
+
+            if (config.contrast) {
+                const range = this.stretchContrast(gray);
+                steps.push({ step: 'contrast', detail: `Stretched levels ${range.low}–${range.high} to 0–255` });
+            }
+            if (config.denoise) {
+                await this._yield();
+                gray = this.removeNoise(gray, width, height);
+                steps.push({ step: 'denoise', detail: 'Removed specks (3×3 median)' });
+            }
+            if (config.threshold) {
+                await this._yield();
+                gray = this.adaptiveThreshold(gray, width, height, config.thresholdWindow, config.thresholdOffset);
+                steps.push({ step: 'threshold', detail: `Black and white against a ${config.thresholdWindow}px neighbourhood` });
+            }
+
+            this._writeGray(imageData.data, gray);
+            context.putImageData(imageData, 0, 0);
+        }
+
+        await this._yield();
+        const rotation = config.rotation === 'auto'
+            ? this.detectQuarterTurn(...this._readGray(canvas))
+            : parseInt(config.rotation, 10) || 0;
+        if (rotation) {
+            canvas = this.rotate(canvas, rotation);
+            steps.push({ step: 'rotation', detail: `Rotated ${rotation}° clockwise` });
+        }
+
+        let skewAngle = 0;
+        if (config.deskew === 'estimate') {
+            await this._yield();
+            skewAngle = this.estimateSkew(...this._readGray(canvas), config.maxSkew);
+            if (Math.abs(skewAngle) >= 0.3) {
+                canvas = this.rotate(canvas, -skewAngle);
+                steps.push({ step: 'deskew', detail: `Straightened text lines tilted ${skewAngle}°` });
+            }
+        } else if (config.deskew === 'tesseract') {
+            steps.push({ step: 'deskew', detail: "Left to Tesseract's page-angle detection" });
+        }
+
+        return { image: canvas, steps, rotation, skewAngle, rotateAuto: config.deskew === 'tesseract' };
+    },
+
+    // Luma of RGBA pixels
+    grayscale(rgba) {
+        const gray = new Uint8ClampedArray(rgba.length / 4);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+        }
+        return gray;
+    },
+
+    // Spread the levels between the 1st and 99th percentile over 0-255, in
+    // place (faded receipts, grey photo backgrounds). Returns { low, high }.
+    stretchContrast(gray) {
+        const histogram = new Array(256).fill(0);
+        gray.forEach(value => histogram[value]++);
+
+        const clip = gray.length * 0.01;
+        let low = 0;
+        let high = 255;
+        for (let seen = 0; low < 255 && seen + histogram[low] <= clip; low++) seen += histogram[low];
+        for (let seen = 0; high > 0 && seen + histogram[high] <= clip; high--) seen += histogram[high];
+        if (high <= low) return { low, high };
+
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = (gray[i] - low) * 255 / (high - low);
+        }
+        return { low, high };
+    },
+
+    // 3×3 median filter (edges keep their pixels). Each column of three is
+    // sorted once per row; the median of the nine is then the median of the
+    // largest low, the median middle and the smallest high of three columns.
+    removeNoise(gray, width, height) {
+        const result = new Uint8ClampedArray(gray);
+        const low = new Uint8Array(width);
+        const middle = new Uint8Array(width);
+        const high = new Uint8Array(width);
+        const median3 = (a, b, c) => Math.max(Math.min(a, b), Math.min(Math.max(a, b), c));
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 0; x < width; x++) {
+                const a = gray[(y - 1) * width + x];
+                const b = gray[y * width + x];
+                const c = gray[(y + 1) * width + x];
+                low[x] = Math.min(a, b, c);
+                high[x] = Math.max(a, b, c);
+                middle[x] = a + b + c - low[x] - high[x];
+            }
+            for (let x = 1; x < width - 1; x++) {
+                const maxLow = Math.max(low[x - 1], low[x], low[x + 1]);
+                const minHigh = Math.min(high[x - 1], high[x], high[x + 1]);
+                result[y * width + x] = median3(maxLow, median3(middle[x - 1], middle[x], middle[x + 1]), minHigh);
+            }
+        }
+        return result;
+    },
+
+    // Black where a pixel is darker than the mean of its window by more than
+    // offset, white elsewhere. Uneven lighting in photos defeats one global
+    // threshold; summed-area tables keep this linear in the image size.
+    adaptiveThreshold(gray, width, height, windowSize, offset) {
+        const sums = new Float64Array((width + 1) * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let row = 0;
+            for (let x = 0; x < width; x++) {
+                row += gray[y * width + x];
+                sums[(y + 1) * (width + 1) + x + 1] = sums[y * (width + 1) + x + 1] + row;
+            }
+        }
+
+        const half = Math.floor(windowSize / 2);
+        const result = new Uint8ClampedArray(gray.length);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - half);
+            const y1 = Math.min(height, y + half + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - half);
+                const x1 = Math.min(width, x + half + 1);
+                const sum = sums[y1 * (width + 1) + x1] - sums[y0 * (width + 1) + x1] -
+                    sums[y1 * (width + 1) + x0] + sums[y0 * (width + 1) + x0];
+                const mean = sum / ((x1 - x0) * (y1 - y0));
+                result[y * width + x] = gray[y * width + x] < mean - offset ? 0 : 255;
+            }
+        }
+        return result;
+    },
+
+    // 90 when the text runs top to bottom, else 0. Lines of text make the
+    // dark-pixel counts of rows swing between text and gaps; on a sideways
+    // page the columns swing instead. Which way the page was turned can't be
+    // told this way, so it is always turned clockwise, and tall tables or
+    // columns of text can pass for sideways lines; hence off by default.
+    detectQuarterTurn(gray, width, height) {
+        const rows = new Array(height).fill(0);
+        const columns = new Array(width).fill(0);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (gray[y * width + x] < 128) {
+                    rows[y]++;
+                    columns[x]++;
+                }
+            }
+        }
+
+        const swing = counts => {
+            const mean = counts.reduce((sum, count) => sum + count, 0) / counts.length;
+            if (mean === 0) return 0;
+            return counts.reduce((sum, count) => sum + (count - mean) ** 2, 0) / counts.length / (mean * mean);
+        };
+        return swing(columns) > swing(rows) * 1.5 ? 90 : 0;
+    },
+
+    // Tilt of the text lines in degrees (positive: falling to the right).
+    // Every dark pixel votes for the line offset it would have at each
+    // candidate angle; at the true angle the votes pile up on few lines.
+    estimateSkew(gray, width, height, maxSkew = 15) {
+        // Work on at most ~1000 pixels a side
+        const step = Math.max(1, Math.ceil(Math.max(width, height) / 1000));
+        const points = [];
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                if (gray[y * width + x] < 128) points.push([x / step, y / step]);
+            }
+        }
+        if (points.length === 0) return 0;
+
+        const diagonal = Math.ceil(Math.hypot(width, height) / step);
+        let best = { angle: 0, score: -1 };
+        for (let angle = -maxSkew; angle <= maxSkew; angle += 0.5) {
+            const radians = angle * Math.PI / 180;
+            const sin = Math.sin(radians);
+            const cos = Math.cos(radians);
+            const bins = new Uint32Array(diagonal * 2 + 1);
+            points.forEach(([x, y]) => {
+                bins[Math.round(y * cos - x * sin) + diagonal]++;
+            });
+
+            let score = 0;
+            bins.forEach(count => { score += count * count; });
+            // Ties go to the smaller angle
+            if (score > best.score || (score === best.score && Math.abs(angle) < Math.abs(best.angle))) {
+                best = { angle, score };
+            }
+        }
+        return best.angle;
+    },
+
+    // New canvas turned clockwise by degrees on a white background
+    rotate(source, degrees) {
+        const radians = degrees * Math.PI / 180;
+        const sin = Math.abs(Math.sin(radians));
+        const cos = Math.abs(Math.cos(radians));
+        const canvas = this._canvas(
+            Math.round(source.width * cos + source.height * sin),
+            Math.round(source.width * sin + source.height * cos)
+        );
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.translate(canvas.width / 2, canvas.height / 2);
+        context.rotate(radians);
+        context.drawImage(source, -source.width / 2, -source.height / 2);
+        return canvas;
+    },
+
+    // Let the page repaint and handle input between long pixel steps
+    _yield() {
+        return new Promise(resolve => setTimeout(resolve));
+    },
+
+    _canvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    },
+
+    // [gray, width, height] of a canvas
+    _readGray(canvas) {
+        const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        return [this.grayscale(imageData.data), canvas.width, canvas.height];
+    },
+
+    _writeGray(rgba, gray) {
+        for (let i = 0; i < gray.length; i++) {
+            rgba[i * 4] = rgba[i * 4 + 1] = rgba[i * 4 + 2] = gray[i];
+            rgba[i * 4 + 3] = 255;
+        }
+    }
+};
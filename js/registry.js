@@ -0,0 +1,319 @@
+// DocFlow AI - Vendor & Purchase Order Registry
+// Master data for matching invoices: known vendors and the purchase orders
+// raised with them, both importable from CSV. matchInvoice() checks an
+// invoice's PO number, vendor and amount against them; Workflow stores the
+// result on the document as poMatch and rules can test it (poMatch field).
+//
+// CSV columns (header row required, any order):
+//   vendors:         name, aliases (separated by "|"), tax_id, email
+//   purchase orders: po_number, vendor, amount, currency, status (open / closed), description
+
+const Registry = {
+    // Override through Storage settings under `matching`
+    DEFAULTS: {
+        amountTolerance: 0.02 // fraction of the PO amount
+    },
+
+    MATCH_STATUSES: {
+        matched: { label: 'Matched', ok: true },
+        no_po: { label: 'No PO number on invoice' },
+        po_not_found: { label: 'PO not in registry' },
+        vendor_mismatch: { label: 'Vendor differs from PO' },
+        po_closed: { label: 'PO is closed' },
+        amount_mismatch: { label: 'Amount outside tolerance' }
+    },
+
+    KINDS: {
+        vendors: {
+            label: 'vendors',
+            key: 'VENDORS',
+            required: ['name']
+        },
+        purchaseOrders: {
+            label: 'purchase orders',
+            key: 'PURCHASE_ORDERS',
+            required: ['po_number', 'vendor', 'amount']
+        }
+    },
+
+    getConfig() {
+        return {
+            ...this.DEFAULTS,
+            ...(Storage.getSettings().matching || {})
+        };
+    },
+
+    getVendors() {
+        return Storage.getVendors().sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    getPurchaseOrders() {
+        return Storage.getPurchaseOrders().sort((a, b) => a.poNumber.localeCompare(b.poNumber));
+    },
+
+    // Vendor whose name or alias matches, or null
+    findVendor(name) {
+        const wanted = this.normalizeName(name);
+        if (!wanted) return null;
+
+        return Storage.getVendors().find(vendor =>
+            [vendor.name, ...(vendor.aliases || [])].some(alias => this.normalizeName(alias) === wanted)
+        ) || null;
+    },
+
+    findPurchaseOrder(poNumber) {
+        const wanted = this.normalizePoNumber(poNumber);
+        if (!wanted) return null;
+        return Storage.getPurchaseOrders().find(po => this.normalizePoNumber(po.poNumber) === wanted) || null;
+    },
+
+    // Import rows into a registry; existing rows with the same vendor name /
+    // PO number are updated. replace drops everything not in the file.
+    importCSV(kind, text, options = {}) {
+        const definition = this.KINDS[kind];
+        if (!definition) {
+            throw new Error(`Unknown registry: ${kind}`);
+        }
+
+        const rows = this.parseCSV(text);
+        if (rows.length < 2) {
+            throw new Error('The file needs a header row and at least one data row');
+        }
+
+        const header = rows[0].map(column => column.trim().toLowerCase().replace(/\s+/g, '_'));
+        const missing = definition.required.filter(column => !header.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`Missing column(s): ${missing.join(', ')}`);
+        }
+
+        // Entries keep their id across imports (purchase orders point at vendor ids)
+        const current = Storage.get(Storage.KEYS[definition.key]) || [];
+        const ids = new Map(current.map(record => [this._recordKey(kind, record), record.id]));
+        const byKey = new Map(options.replace ? [] : current.map(record => [this._recordKey(kind, record), record]));
+        const errors = [];
+        let added = 0;
+        let updated = 0;
+
+        rows.slice(1).forEach((cells, index) => {
+            if (cells.every(cell => cell.trim() === '')) return;
+
+            const row = {};
+            header.forEach((column, i) => {
+                row[column] = (cells[i] || '').trim();
+            });
+
+            try {
+                const record = kind === 'vendors' ? this._vendorFromRow(row) : this._purchaseOrderFromRow(row);
+                const key = this._recordKey(kind, record);
+                const previousId = ids.get(key);
+
+                byKey.set(key, { ...record, id: previousId || record.id });
+                ids.set(key, previousId || record.id);
+                previousId ? updated++ : added++;
+            } catch (error) {
+                errors.push({ line: index + 2, message: error.message });
+            }
+        });
+
+        Storage.set(Storage.KEYS[definition.key], [...byKey.values()]);
+
+        Audit.log({
+            action: Audit.Actions.REGISTRY_IMPORT,
+            details: `Imported ${definition.label}: ${added} added, ${updated} updated, ${errors.length} skipped${options.replace ? ' (replaced registry)' : ''}`,
+            metadata: { kind, added, updated, errors }
+        });
+
+        return {
+            success: true,
+            message: `Imported ${added + updated} ${definition.label} (${added} new, ${updated} updated${errors.length ? `, ${errors.length} skipped` : ''})`,
+            added,
+            updated,
+            errors
+        };
+    },
+
+    remove(kind, recordId) {
+        const definition = this.KINDS[kind];
+        if (!definition) {
+            throw new Error(`Unknown registry: ${kind}`);
+        }
+
+        const records = Storage.get(Storage.KEYS[definition.key]) || [];
+        const record = records.find(r => r.id === recordId);
+        if (!record) {
+            throw new Error('Entry not found');
+        }
+
+        Storage.set(Storage.KEYS[definition.key], records.filter(r => r.id !== recordId));
+
+        Audit.log({
+            action: Audit.Actions.REGISTRY_UPDATE,
+            details: `Removed ${kind === 'vendors' ? `vendor ${record.name}` : `purchase order ${record.poNumber}`}`,
+            metadata: { kind, record }
+        });
+
+        return {
+            success: true,
+            message: 'Entry removed'
+        };
+    },
+
+    // Check an invoice against the registries. Returns
+    // { status, label, poNumber, vendorId, vendorName, poAmount, poCurrency, invoiceAmount, difference, checkedAt }
+    // or null for documents that are not invoices. invoiceAmount and difference
+    // are in the base currency; poAmount is in the PO's own currency.
+    matchInvoice(document) {
+        if (document.type !== 'invoice') return null;
+
+        const fields = document.extractedFields || {};
+        const invoiceAmount = Workflow._extractAmount(document);
+        const invoiceVendor = this.findVendor(fields['Vendor']);
+        const result = {
+            poNumber: fields['PO Number'] || null,
+            vendorId: invoiceVendor ? invoiceVendor.id : null,
+            vendorName: invoiceVendor ? invoiceVendor.name : fields['Vendor'] || null,
+            invoiceAmount,
+            checkedAt: new Date().toISOString()
+        };
+        const done = status => ({ ...result, status, label: this.MATCH_STATUSES[status].label });
+
+        if (!result.poNumber) return done('no_po');
+
+        const po = this.findPurchaseOrder(result.poNumber);
+        if (!po) return done('po_not_found');
+
+        const poCurrency = po.currency || Currency.BASE;
+        const poBase = Currency.toBase(po.amount, poCurrency) ?? po.amount;
+        result.poNumber = po.poNumber;
+        result.poAmount = po.amount;
+        result.poCurrency = poCurrency;
+        result.difference = Math.round((invoiceAmount - poBase) * 100) / 100;
+
+        // A vendor name on the invoice has to be the PO's vendor; without
+        // one the PO's vendor is taken
+        const poVendor = Storage.getVendors().find(v => v.id === po.vendorId);
+        if (fields['Vendor'] && (!invoiceVendor || invoiceVendor.id !== po.vendorId)) {
+            return done('vendor_mismatch');
+        }
+        result.vendorId = po.vendorId;
+        result.vendorName = poVendor ? poVendor.name : po.vendorName;
+
+        if (po.status === 'closed') return done('po_closed');
+
+        if (Math.abs(result.difference) > poBase * this.getConfig().amountTolerance) {
+            return done('amount_mismatch');
+        }
+
+        return done('matched');
+    },
+
+    // Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    },
+
+    normalizeName(name) {
+        return (name || '').toLowerCase()
+            .replace(/[^a-z0-9 ]/g, ' ')
+            .replace(/\b(inc|llc|ltd|limited|corp|corporation|co|company|gmbh)\b/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    // "PO-000881", "po 881" and "881" are the same order
+    normalizePoNumber(poNumber) {
+        return (poNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^PO/, '').replace(/^0+(?=\d)/, '');
+    },
+
+    _recordKey(kind, record) {
+        return kind === 'vendors' ? this.normalizeName(record.name) : this.normalizePoNumber(record.poNumber);
+    },
+
+    _vendorFromRow(row) {
+        if (!this.normalizeName(row.name)) {
+            throw new Error('Vendor name is required');
+        }
+
+        return {
+            id: 'vendor_' + Date.now() + '_' + Math.random().toString(36).slice(2, 11),
+            name: row.name,
+            aliases: (row.aliases || '').split('|').map(alias => alias.trim()).filter(Boolean),
+            taxId: row.tax_id || '',
+            email: row.email || ''
+        };
+    },
+
+    _purchaseOrderFromRow(row) {
+        if (!this.normalizePoNumber(row.po_number)) {
+            throw new Error('PO number is required');
+        }
+
+        const vendor = this.findVendor(row.vendor);
+        if (!vendor) {
+            throw new Error(`Unknown vendor "${row.vendor}" (import vendors first)`);
+        }
+
+        const parsed = Currency.parse(row.amount);
+        if (!parsed || parsed.value <= 0) {
+            throw new Error(`Invalid amount "${row.amount}"`);
+        }
+
+        const currency = (row.currency || parsed.currency || Currency.getConfig().defaultCurrency).toUpperCase();
+        if (!Currency.getRates()[currency]) {
+            throw new Error(`No exchange rate for currency "${currency}"`);
+        }
+
+        const status = (row.status || 'open').toLowerCase();
+        if (!['open', 'closed'].includes(status)) {
+            throw new Error(`Status must be open or closed, not "${row.status}"`);
+        }
+
+        return {
+            id: 'po_' + Date.now() + '_' + Math.random().toString(36).slice(2, 11),
+            poNumber: row.po_number,
+            vendorId: vendor.id,
+            vendorName: vendor.name,
+            amount: parsed.value,
+            currency,
+            status,
+            description: row.description || ''
+        };
+    }
+};
@@ -0,0 +1,156 @@
+// DocFlow AI - Role Administration
+// Custom roles and their permission matrix (backs the manage_roles permission)
+
+const Roles = {
+    // Get all roles with the number of users holding each
+    getAll() {
+        const users = Storage.getUsers();
+        return Storage.getRoles().map(role => ({
+            ...role,
+            userCount: users.filter(u => u.role === role.id).length
+        }));
+    },
+
+    get(roleId) {
+        return Storage.getRoleById(roleId) || null;
+    },
+
+    // Create a role (no roleId) or update an existing one
+    save(data, roleId = null) {
+        const roles = Storage.getRoles();
+        const existing = roleId ? roles.find(r => r.id === roleId) : null;
+
+        if (roleId && !existing) {
+            throw new Error('Role not found');
+        }
+
+        const name = (data.name || '').trim();
+        if (!name) {
+            throw new Error('Role name is required');
+        }
+        if (roles.some(r => r.id !== roleId && r.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`A role named "${name}" already exists`);
+        }
+
+        const permissions = this._normalizePermissions(data.permissions || {});
+        const role = {
+            ...(existing || {}),
+            id: existing ? existing.id : this._uniqueId(name, roles),
+            name,
+            description: (data.description || '').trim(),
+            system: existing ? !!existing.system : false,
+            permissions,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (existing) {
+            this._assertKeepsAManager(role);
+        }
+
+        const updatedRoles = existing
+            ? roles.map(r => r.id === role.id ? role : r)
+            : [...roles, { ...role, createdAt: role.updatedAt }];
+        Storage.set(Storage.KEYS.ROLES, updatedRoles);
+
+        Audit.log({
+            action: existing ? Audit.Actions.ROLE_UPDATE : Audit.Actions.ROLE_CREATE,
+            details: `${existing ? 'Updated' : 'Created'} role ${name}: ${this.describePermissions(permissions)}`,
+            metadata: { roleId: role.id, permissions }
+        });
+
+        return {
+            success: true,
+            message: `Role ${name} ${existing ? 'updated' : 'created'}`,
+            role
+        };
+    },
+
+    // Delete a custom role that nobody holds
+    remove(roleId) {
+        const role = this.get(roleId);
+        if (!role) {
+            throw new Error('Role not found');
+        }
+        if (role.system) {
+            throw new Error(`${role.name} is a built-in role and cannot be deleted`);
+        }
+
+        const holders = Storage.getUsers().filter(u => u.role === roleId);
+        if (holders.length > 0) {
+            throw new Error(`${role.name} is assigned to ${holders.length} user(s). Reassign them first.`);
+        }
+
+        Storage.set(Storage.KEYS.ROLES, Storage.getRoles().filter(r => r.id !== roleId));
+
+        Audit.log({
+            action: Audit.Actions.ROLE_DELETE,
+            details: `Deleted role ${role.name}`,
+            metadata: { roleId }
+        });
+
+        return {
+            success: true,
+            message: `Role ${role.name} deleted`
+        };
+    },
+
+    // Human-readable summary, e.g. "approve_document (invoice), upload_document"
+    describePermissions(permissions) {
+        const entries = Object.entries(permissions);
+        if (entries.length === 0) return 'no permissions';
+
+        return entries.map(([permission, scope]) =>
+            scope === '*' ? permission : `${permission} (${scope.join(', ')})`
+        ).join(', ');
+    },
+
+    // Keep only known permissions; scoped ones become '*' or a list of types
+    _normalizePermissions(permissions) {
+        const normalized = {};
+
+        Object.entries(permissions).forEach(([permission, scope]) => {
+            const definition = Auth.PERMISSIONS[permission];
+            if (!definition || !scope) return;
+
+            if (scope === '*' || !definition.scoped) {
+                normalized[permission] = '*';
+                return;
+            }
+
+            const types = (Array.isArray(scope) ? scope : [scope])
+                .filter(type => Auth.DOCUMENT_TYPES.includes(type));
+            if (types.length === Auth.DOCUMENT_TYPES.length) {
+                normalized[permission] = '*';
+            } else if (types.length > 0) {
+                normalized[permission] = types;
+            }
+        });
+
+        return normalized;
+    },
+
+    // Editing a role must not lock every active user out of user management
+    _assertKeepsAManager(updatedRole) {
+        if (updatedRole.permissions.manage_users) return;
+
+        const remaining = Storage.getUsers().filter(u =>
+            u.active !== false &&
+            u.role !== updatedRole.id &&
+            Auth.roleHasPermission(u.role, 'manage_users')
+        );
+
+        if (remaining.length === 0) {
+            throw new Error('At least one active user must keep the manage_users permission');
+        }
+    },
+
+    _uniqueId(name, roles) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'role';
+        let id = base;
+        let suffix = 2;
+        while (roles.some(r => r.id === id)) {
+            id = `${base}_${suffix++}`;
+        }
+        return id;
+    }
+};
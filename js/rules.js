@@ -0,0 +1,212 @@
+// DocFlow AI - Workflow Rule Administration
+// Create, edit and reorder the rules Workflow.evaluateRules runs (backs the manage_workflow permission)
+
+const Rules = {
+    // Get all rules, highest priority first
+    getAll() {
+        return Workflow.getRules().sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    },
+
+    get(ruleId) {
+        return Workflow.getRules().find(r => r.id === ruleId) || null;
+    },
+
+    // Create a rule (no ruleId) or update an existing one
+    save(data, ruleId = null) {
+        const { rule, existing, updatedRules } = this._build(data, ruleId);
+        Storage.set(Storage.KEYS.WORKFLOW_RULES, updatedRules);
+
+        Audit.log({
+            action: existing ? Audit.Actions.RULE_UPDATE : Audit.Actions.RULE_CREATE,
+            details: `${existing ? 'Updated' : 'Created'} rule ${rule.name}: ${this.describeCondition(rule.condition)} → ${this.describeAction(rule)}`,
+            metadata: { ruleId: rule.id, rule }
+        });
+
+        return {
+            success: true,
+            message: `Rule ${rule.name} ${existing ? 'updated' : 'created'}`,
+            rule
+        };
+    },
+
+    // The rule set save() would store, without storing it (for simulations)
+    preview(data, ruleId = null) {
+        return this._build(data, ruleId).updatedRules;
+    },
+
+    // Validate form data and merge it into the current rule set
+    _build(data, ruleId) {
+        const rules = Workflow.getRules();
+        const existing = ruleId ? rules.find(r => r.id === ruleId) : null;
+
+        if (ruleId && !existing) {
+            throw new Error('Rule not found');
+        }
+
+        const name = (data.name || '').trim();
+        if (!name) {
+            throw new Error('Rule name is required');
+        }
+        if (rules.some(r => r.id !== ruleId && r.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`A rule named "${name}" already exists`);
+        }
+
+        if (!Workflow.RULE_ACTIONS[data.action]) {
+            throw new Error(`Unknown action: ${data.action}`);
+        }
+        if (data.action === 'route' && !Auth.getRole(data.routeTo)) {
+            throw new Error('Choose the role this rule routes documents to');
+        }
+
+        const priority = Number(data.priority);
+        if (!Number.isInteger(priority)) {
+            throw new Error('Priority must be a whole number');
+        }
+
+        this._validateCondition(data.condition);
+
+        const rule = {
+            id: existing ? existing.id : this._uniqueId(name, rules),
+            name,
+            enabled: data.enabled !== false,
+            priority,
+            action: data.action,
+            routeTo: data.action === 'route' ? data.routeTo : undefined,
+            reason: (data.reason || '').trim() || name,
+            condition: data.condition
+        };
+
+        const updatedRules = existing
+            ? rules.map(r => r.id === rule.id ? rule : r)
+            : [...rules, rule];
+
+        return { rule, existing, updatedRules };
+    },
+
+    // Turn a rule on or off without deleting it
+    setEnabled(ruleId, enabled) {
+        const rule = this.get(ruleId);
+        if (!rule) {
+            throw new Error('Rule not found');
+        }
+
+        Storage.set(Storage.KEYS.WORKFLOW_RULES, Workflow.getRules().map(r =>
+            r.id === ruleId ? { ...r, enabled } : r
+        ));
+
+        Audit.log({
+            action: Audit.Actions.RULE_UPDATE,
+            details: `${enabled ? 'Enabled' : 'Disabled'} rule ${rule.name}`,
+            metadata: { ruleId }
+        });
+
+        return {
+            success: true,
+            message: `Rule ${rule.name} ${enabled ? 'enabled' : 'disabled'}`
+        };
+    },
+
+    remove(ruleId) {
+        const rule = this.get(ruleId);
+        if (!rule) {
+            throw new Error('Rule not found');
+        }
+
+        Storage.set(Storage.KEYS.WORKFLOW_RULES, Workflow.getRules().filter(r => r.id !== ruleId));
+
+        Audit.log({
+            action: Audit.Actions.RULE_DELETE,
+            details: `Deleted rule ${rule.name}`,
+            metadata: { ruleId, rule }
+        });
+
+        return {
+            success: true,
+            message: `Rule ${rule.name} deleted`
+        };
+    },
+
+    // Drop all edits and go back to the shipped rule set
+    resetToDefaults() {
+        Storage.remove(Storage.KEYS.WORKFLOW_RULES);
+
+        Audit.log({
+            action: Audit.Actions.RULES_RESET,
+            details: 'Reset workflow rules to defaults'
+        });
+
+        return {
+            success: true,
+            message: 'Workflow rules reset to defaults'
+        };
+    },
+
+    // Human-readable condition, e.g. "Risk score ≥ 7 AND (Amount missing OR ...)"
+    describeCondition(condition, nested = false) {
+        if (!condition) return 'always';
+
+        if (condition.conditions) {
+            const joiner = condition.match === 'any' ? ' OR ' : ' AND ';
+            const text = condition.conditions.map(c => this.describeCondition(c, true)).join(joiner);
+            return nested && condition.conditions.length > 1 ? `(${text})` : text;
+        }
+
+        const operator = Workflow.RULE_OPERATORS[condition.operator];
+        const label = Workflow.fieldLabel(condition.field);
+        return operator.unary
+            ? `${label} ${operator.label}`
+            : `${label} ${operator.label} ${condition.value}`;
+    },
+
+    describeAction(rule) {
+        if (rule.action === 'route') {
+            const role = Auth.getRole(rule.routeTo);
+            return `route to ${role ? role.name : rule.routeTo}`;
+        }
+        return Workflow.RULE_ACTIONS[rule.action].label.toLowerCase();
+    },
+
+    _validateCondition(condition) {
+        if (!condition || typeof condition !== 'object') {
+            throw new Error('Rule condition is required');
+        }
+
+        if (condition.conditions) {
+            if (!['all', 'any'].includes(condition.match)) {
+                throw new Error('Condition groups must match "all" or "any"');
+            }
+            if (condition.conditions.length === 0) {
+                throw new Error('Condition groups cannot be empty');
+            }
+            condition.conditions.forEach(child => this._validateCondition(child));
+            return;
+        }
+
+        const isExtractedField = typeof condition.field === 'string' &&
+            condition.field.startsWith('field:') && condition.field.length > 'field:'.length;
+        if (!isExtractedField && !Workflow.RULE_FIELDS[condition.field]) {
+            throw new Error(`Unknown condition field: ${condition.field || '(none)'}`);
+        }
+
+        const operator = Workflow.RULE_OPERATORS[condition.operator];
+        if (!operator) {
+            throw new Error(`Unknown operator: ${condition.operator}`);
+        }
+        if (!operator.unary && (condition.value === undefined || condition.value === '')) {
+            throw new Error(`"${Workflow.fieldLabel(condition.field)} ${operator.label}" needs a value`);
+        }
+        if (['gt', 'gte', 'lt', 'lte'].includes(condition.operator) && isNaN(Workflow._toNumber(condition.value))) {
+            throw new Error(`"${Workflow.fieldLabel(condition.field)} ${operator.label}" needs a number`);
+        }
+    },
+
+    _uniqueId(name, rules) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'rule';
+        let id = base;
+        let suffix = 2;
+        while (rules.some(r => r.id === id)) {
+            id = `${base}-${suffix++}`;
+        }
+        return id;
+    }
+};
@@ -0,0 +1,243 @@
+// DocFlow AI - Review Deadlines (SLA)
+// Every document left for review gets a due time from its type and risk band.
+// checkOverdue() escalates documents that miss it: they move to another
+// reviewer and their priority goes up one step per missed target period.
+
+const SLA = {
+    // Escalations run in whichever browser has a page open, so they are
+    // logged as the system rather than as the user who happens to be there
+    ACTOR: { userId: 'system', userName: 'SLA monitor' },
+
+    // Risk bands, matched from the top
+    RISK_BANDS: {
+        high: { label: 'High risk (7-10)', min: 7 },
+        medium: { label: 'Medium risk (4-6)', min: 4 },
+        low: { label: 'Low risk (0-3)', min: 0 }
+    },
+
+    // Hours from upload to decision; override through Storage settings under `slaTargets`
+    DEFAULT_TARGETS: {
+        invoice: { high: 8, medium: 24, low: 48 },
+        contract: { high: 24, medium: 48, low: 72 }
+    },
+
+    // Priority after each escalation (index = escalation level)
+    PRIORITIES: ['normal', 'high', 'urgent'],
+
+    // How often pages that show the queue re-run checkOverdue()
+    CHECK_INTERVAL_MS: 60 * 1000,
+
+    getTargets() {
+        const overrides = Storage.getSettings().slaTargets || {};
+        const targets = {};
+        Object.keys(this.DEFAULT_TARGETS).forEach(type => {
+            targets[type] = { ...this.DEFAULT_TARGETS[type], ...(overrides[type] || {}) };
+        });
+        return targets;
+    },
+
+    // Replace targets, e.g. { invoice: { high: 4, ... }, contract: { ... } }
+    updateTargets(updates) {
+        const targets = this.getTargets();
+
+        Object.entries(updates).forEach(([type, bands]) => {
+            if (!targets[type]) {
+                throw new Error(`Unknown document type: ${type}`);
+            }
+            Object.entries(bands).forEach(([band, hours]) => {
+                if (!this.RISK_BANDS[band]) {
+                    throw new Error(`Unknown risk band: ${band}`);
+                }
+                const value = Number(hours);
+                if (isNaN(value) || value <= 0) {
+                    throw new Error(`${type} ${this.RISK_BANDS[band].label} target must be a positive number of hours`);
+                }
+                targets[type][band] = value;
+            });
+        });
+
+        Storage.updateSettings({ slaTargets: targets });
+
+        Audit.log({
+            action: Audit.Actions.SETTINGS_CHANGE,
+            details: 'Updated review SLA targets: ' + Object.entries(targets).map(([type, bands]) =>
+                `${type} ${bands.high}/${bands.medium}/${bands.low}h`
+            ).join(', '),
+            metadata: { slaTargets: targets }
+        });
+
+        return {
+            success: true,
+            message: 'SLA targets saved',
+            targets
+        };
+    },
+
+    getRiskBand(riskScore) {
+        const score = riskScore || 0;
+        return Object.keys(this.RISK_BANDS).find(band => score >= this.RISK_BANDS[band].min);
+    },
+
+    // Target in hours for a document, or null for types without a target
+    getTargetHours(document) {
+        const targets = this.getTargets()[document.type];
+        return targets ? targets[this.getRiskBand(document.riskScore)] : null;
+    },
+
+    // Due time (ISO string); the time fixed when the document entered review wins.
+    // The clock starts at upload, or again when a corrected document is resubmitted.
+    getDueAt(document) {
+        if (document.slaDueAt) return document.slaDueAt;
+
+        const hours = this.getTargetHours(document);
+        const start = document.resubmittedAt || document.createdAt;
+        if (hours === null || !start) return null;
+        return new Date(new Date(start).getTime() + hours * 60 * 60 * 1000).toISOString();
+    },
+
+    // { dueAt, overdue, remainingMs } for a document awaiting review, or null
+    getStatus(document, now = Date.now()) {
+        const dueAt = this.getDueAt(document);
+        if (!dueAt) return null;
+
+        const remainingMs = new Date(dueAt).getTime() - now;
+        return { dueAt, overdue: remainingMs < 0, remainingMs };
+    },
+
+    // "due in 3h 20m" / "overdue by 45m"
+    formatRemaining(remainingMs) {
+        const minutes = Math.round(Math.abs(remainingMs) / 60000);
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        const parts = days > 0 ? [`${days}d`, `${hours}h`] : hours > 0 ? [`${hours}h`, `${minutes % 60}m`] : [`${minutes % 60}m`];
+        return remainingMs < 0 ? `overdue by ${parts.join(' ')}` : `due in ${parts.join(' ')}`;
+    },
+
+    // Escalation level a document should be at by now: 1 once due, +1 per
+    // further target period, capped at the highest priority
+    _levelAt(document, now) {
+        const status = this.getStatus(document, now);
+        if (!status || !status.overdue) return 0;
+
+        const periodMs = (this.getTargetHours(document) || 0) * 60 * 60 * 1000;
+        const periods = periodMs > 0 ? Math.floor(-status.remainingMs / periodMs) : 0;
+        return Math.min(1 + periods, this.PRIORITIES.length - 1);
+    },
+
+    // Escalate every overdue document awaiting review that has not been
+    // escalated to its current level yet
+    checkOverdue(now = Date.now()) {
+        const escalated = Storage.getDocumentsByStatus('needs-review')
+            .filter(doc => this._levelAt(doc, now) > (doc.escalationLevel || 0))
+            .map(doc => this.escalate(doc.id, now));
+
+        return {
+            success: true,
+            message: `Escalated ${escalated.length} overdue document(s)`,
+            escalated
+        };
+    },
+
+    // Raise priority and hand the document to a different reviewer. Someone
+    // actively working it (live claim) keeps it.
+    escalate(documentId, now = Date.now()) {
+        const document = Storage.getDocumentById(documentId);
+        if (!document) {
+            throw new Error('Document not found');
+        }
+
+        const level = Math.max(this._levelAt(document, now), (document.escalationLevel || 0) + 1);
+        const priority = this.PRIORITIES[Math.min(level, this.PRIORITIES.length - 1)];
+        const previous = document.assignedTo ? Storage.getUserById(document.assignedTo) : null;
+
+        Storage.updateDocument(documentId, {
+            priority,
+            escalationLevel: level,
+            escalatedAt: new Date(now).toISOString()
+        });
+
+        let assignee = previous;
+        if (!Assignment.getActiveClaim(document, now)) {
+            const others = Assignment.getEligibleReviewers(document).filter(user => user.id !== document.assignedTo);
+            if (others.length > 0) {
+                assignee = Assignment.autoAssign(documentId, { exclude: [document.assignedTo], actor: this.ACTOR });
+            }
+        }
+
+        const status = this.getStatus(document, now);
+        const handover = assignee && previous && assignee.id !== previous.id
+            ? `, reassigned from ${previous.username} to ${assignee.username}`
+            : assignee ? `, stays with ${assignee.username}` : ', no reviewer available';
+
+        Audit.log({
+            ...this.ACTOR,
+            action: Audit.Actions.ESCALATED,
+            documentId: document.id,
+            documentName: document.name,
+            details: `Review ${this.formatRemaining(status.remainingMs)}; priority raised to ${priority}${handover}`,
+            metadata: {
+                level,
+                priority,
+                dueAt: status.dueAt,
+                from: previous ? previous.id : null,
+                to: assignee ? assignee.id : null
+            }
+        });
+
+        return {
+            documentId,
+            level,
+            priority,
+            assignedTo: assignee ? assignee.id : null
+        };
+    },
+
+    // Run checkOverdue now and then on an interval; returns the timer id
+    startMonitor(onEscalate = null) {
+        const check = () => {
+            const result = this.checkOverdue();
+            if (result.escalated.length > 0 && onEscalate) {
+                onEscalate(result);
+            }
+        };
+
+        check();
+        return setInterval(check, this.CHECK_INTERVAL_MS);
+    },
+
+    // Compliance over reviewed documents (reviewedAt against due time) plus
+    // open documents already past due, which count as missed
+    getCompliance(documents = Storage.getDocuments(), now = Date.now()) {
+        const groups = {};
+        const overall = { met: 0, missed: 0, open: 0 };
+
+        documents.forEach(doc => {
+            const dueAt = this.getDueAt(doc);
+            if (!dueAt) return;
+
+            let outcome;
+            if (doc.reviewedAt && ['approved', 'rejected'].includes(doc.status)) {
+                outcome = new Date(doc.reviewedAt) <= new Date(dueAt) ? 'met' : 'missed';
+            } else if (doc.status === 'needs-review') {
+                outcome = new Date(dueAt).getTime() < now ? 'missed' : 'open';
+            } else {
+                return; // decided automatically, never waited for review
+            }
+
+            const key = `${doc.type}:${this.getRiskBand(doc.riskScore)}`;
+            groups[key] = groups[key] || { type: doc.type, band: this.getRiskBand(doc.riskScore), met: 0, missed: 0, open: 0 };
+            groups[key][outcome]++;
+            overall[outcome]++;
+        });
+
+        const withRate = group => ({
+            ...group,
+            rate: group.met + group.missed > 0 ? Math.round(group.met / (group.met + group.missed) * 100) : null
+        });
+
+        return {
+            overall: withRate(overall),
+            groups: Object.values(groups).map(withRate)
+        };
+    }
+};
@@ -1,5 +1,16 @@
-// DocFlow AI - LocalStorage Manager
+// DocFlow AI - Storage Manager
 // Handles all data persistence and CRUD operations
+//
+// Documents, users, audit logs and the vendor / purchase order registries
+// are kept in IndexedDB. They are loaded into
+// an in-memory cache by Storage.ready(), so every read below stays
+// synchronous; writes update the cache first and are persisted in the
+// background. Small session/config keys still live in localStorage.
+// Every committed write is announced to the other open tabs (BroadcastChannel,
+// or the storage event without IndexedDB), which apply it to their cache;
+// updates are merged into the stored record rather than overwriting it.
+// Original uploaded files are stored as blobs in their own object store and
+// are only read on demand (see saveFile/getFile).
 
 const Storage = {
   // Keys for localStorage
@@ -8,18 +19,65 @@ const Storage = {
     DOCUMENTS: 'docflow_documents',
     AUDIT_LOGS: 'docflow_audit_logs',
     CURRENT_USER: 'docflow_current_user',
-    SETTINGS: 'docflow_settings'
+    SETTINGS: 'docflow_settings',
+    ROLES: 'docflow_roles',
+    WORKFLOW_RULES: 'docflow_workflow_rules',
+    VENDORS: 'docflow_vendors',
+    PURCHASE_ORDERS: 'docflow_purchase_orders'
+  },
+
+  // IndexedDB database
+  DB_NAME: 'docflow',
+  DB_VERSION: 3,
+
+  // Object stores, by the localStorage key they replace
+  STORES: {
+    docflow_users: 'users',
+    docflow_documents: 'documents',
+    docflow_audit_logs: 'audit_logs',
+    docflow_vendors: 'vendors',
+    docflow_purchase_orders: 'purchase_orders'
+  },
+
+  db: null,
+  cache: {},
+  quota: 5 * 1024 * 1024, // Refined from navigator.storage.estimate() when available
+  _readyPromise: null,
+  _pendingWrites: new Set(),
+  _pendingMerges: new Map(), // "key:id" -> merges not yet committed
+  _channel: null,
+
+  // Open the database, migrate legacy data and fill the cache.
+  // Every page must await this before touching documents, users or logs.
+  ready() {
+    if (!this._readyPromise) {
+      this._readyPromise = this._openDatabase()
+        .then(() => this._migrateFromLocalStorage())
+        .then(() => this._listenForChanges())
+        .then(() => this._loadCache())
+        .then(() => this._estimateQuota())
+        .then(() => this.initialize());
+    }
+    return this._readyPromise;
+  },
+
+  // Wait for all background writes to finish (e.g. before navigating away)
+  flush() {
+    return Promise.all([...this._pendingWrites]).then(() => undefined);
   },
 
   // Initialize storage with demo data
   initialize() {
-    if (!this.get(this.KEYS.USERS)) {
-      // Create demo users
+    if (!this.get(this.KEYS.USERS) || this.get(this.KEYS.USERS).length === 0) {
+      // Create demo users (passwords: admin123 / reviewer123 / user123,
+      // pre-hashed with PBKDF2-SHA256 so no plaintext is ever stored)
       const defaultUsers = [
         {
           id: 'user_1',
           username: 'admin',
-          password: 'admin123', // In production, use proper hashing
+          passwordHash: '2aabea7ef4dca5452c4a317506e8d26780350afb3bbe652121ff2a723000e90d',
+          salt: '83ca0cb54ad070557efaf5e3aec34d73',
+          iterations: 100000,
           role: 'admin',
           email: 'admin@docflow.ai',
           fullName: 'Admin User',
@@ -28,7 +86,9 @@ const Storage = {
         {
           id: 'user_2',
           username: 'reviewer',
-          password: 'reviewer123',
+          passwordHash: '539d06e7e16f87ecb7b9c07201f4eb9f4e1f1cc90eb6ebb72c2de4b57e301a95',
+          salt: 'cc72caa2a31974549dee71ce938f1fb5',
+          iterations: 100000,
           role: 'reviewer',
           email: 'reviewer@docflow.ai',
           fullName: 'Reviewer User',
@@ -37,7 +97,9 @@ const Storage = {
         {
           id: 'user_3',
           username: 'user',
-          password: 'user123',
+          passwordHash: 'e03550af20b76cddda24056e2c155234edb72838f4a653ea95b49ef1da648211',
+          salt: 'f181ee244c6549d7b762ff909c87910b',
+          iterations: 100000,
           role: 'user',
           email: 'user@docflow.ai',
           fullName: 'Regular User',
@@ -47,19 +109,97 @@ const Storage = {
       this.set(this.KEYS.USERS, defaultUsers);
     }
 
-    if (!this.get(this.KEYS.DOCUMENTS)) {
-      this.set(this.KEYS.DOCUMENTS, []);
+    // Built-in roles. Each permission maps to '*' (any document) or to
+    // the list of document types it is limited to.
+    const defaultRoles = [
+      {
+        id: 'admin',
+        name: 'Admin',
+        description: 'Full system access',
+        system: true,
+        permissions: {
+          upload_document: '*',
+          view_all_documents: '*',
+          review_document: '*',
+          approve_document: '*',
+          reject_document: '*',
+          delete_document: '*',
+          view_audit_logs: '*',
+          manage_users: '*',
+          manage_roles: '*',
+          manage_workflow: '*',
+          view_reports: '*'
+        }
+      },
+      {
+        id: 'reviewer',
+        name: 'Reviewer',
+        description: 'Review & approve documents',
+        system: true,
+        permissions: {
+          upload_document: '*',
+          view_all_documents: '*',
+          review_document: '*',
+          approve_document: '*',
+          reject_document: '*',
+          view_audit_logs: '*',
+          view_reports: '*'
+        }
+      },
+      {
+        id: 'user',
+        name: 'User',
+        description: 'Upload & view own documents',
+        system: true,
+        permissions: {
+          upload_document: '*',
+          view_own_documents: '*'
+        }
+      },
+      {
+        id: 'finance_manager',
+        name: 'Finance Manager',
+        description: 'Final sign-off on large invoices',
+        system: true,
+        permissions: {
+          view_all_documents: ['invoice'],
+          review_document: ['invoice'],
+          approve_document: ['invoice'],
+          reject_document: ['invoice'],
+          view_reports: '*'
+        }
+      }
+    ];
+
+    const storedRoles = this.get(this.KEYS.ROLES);
+    if (!storedRoles) {
+      this.set(this.KEYS.ROLES, defaultRoles);
+    } else {
+      // Built-in roles introduced after the roles were first stored
+      const missing = defaultRoles.filter(role => !storedRoles.some(r => r.id === role.id));
+      if (missing.length > 0) {
+        this.set(this.KEYS.ROLES, [...storedRoles, ...missing]);
+      }
     }
 
-    if (!this.get(this.KEYS.AUDIT_LOGS)) {
-      this.set(this.KEYS.AUDIT_LOGS, []);
+    // Roles stored before manage_workflow existed: grant it to the built-in
+    // admin unless that role has since been edited by hand
+    const roles = this.getRoles();
+    const admin = roles.find(r => r.id === 'admin' && r.system);
+    if (admin && !admin.updatedAt && !admin.permissions.manage_workflow) {
+      admin.permissions.manage_workflow = '*';
+      this.set(this.KEYS.ROLES, roles);
     }
 
-    console.log('✅ Storage initialized');
+    console.log(`✅ Storage initialized (${this.db ? 'IndexedDB' : 'localStorage fallback'})`);
   },
 
   // Generic get/set methods
   get(key) {
+    if (this.STORES[key]) {
+      return this.cache[key] ? this._clone(this.cache[key]) : null;
+    }
+
     try {
       const data = localStorage.getItem(key);
       return data ? JSON.parse(data) : null;
@@ -70,6 +210,16 @@ const Storage = {
   },
 
   set(key, value) {
+    if (this.STORES[key]) {
+      const records = this._clone(value || []);
+      const kept = new Set(records.map(r => r.id));
+      const removed = this._cacheFor(key).filter(r => !kept.has(r.id)).map(r => r.id);
+      this.cache[key] = records;
+      // Only what this tab dropped is deleted; records other tabs added stay
+      this._persist(key, { put: records, deleted: removed });
+      return true;
+    }
+
     try {
       localStorage.setItem(key, JSON.stringify(value));
       return true;
@@ -84,11 +234,20 @@ const Storage = {
   },
 
   remove(key) {
+    if (this.STORES[key]) {
+      this.cache[key] = [];
+      this._persist(key, { clear: true });
+      return;
+    }
     localStorage.removeItem(key);
   },
 
   clear() {
     localStorage.clear();
+    Object.keys(this.STORES).forEach(key => this.remove(key));
+    if (this.db) {
+      this._transaction('files', 'readwrite', store => store.clear());
+    }
   },
 
   // User operations
@@ -106,14 +265,73 @@ const Storage = {
     return users.find(u => u.username === username);
   },
 
+  addUser(user) {
+    const newUser = {
+      id: `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      ...user,
+      createdAt: new Date().toISOString()
+    };
+    this._cacheFor(this.KEYS.USERS).push(newUser);
+    this._putRecords(this.KEYS.USERS, [newUser]);
+    return this._clone(newUser);
+  },
+
+  updateUser(userId, updates) {
+    const users = this._cacheFor(this.KEYS.USERS);
+    const index = users.findIndex(u => u.id === userId);
+
+    if (index !== -1) {
+      const changes = { ...updates, updatedAt: new Date().toISOString() };
+      // Cloning drops keys set to undefined, which is how fields are removed
+      users[index] = this._clone({ ...users[index], ...changes });
+      this._mergeRecord(this.KEYS.USERS, userId, changes);
+      return this._clone(users[index]);
+    }
+    return null;
+  },
+
   getCurrentUser() {
     return this.get(this.KEYS.CURRENT_USER);
   },
 
+  // Role operations
+  getRoles() {
+    return this.get(this.KEYS.ROLES) || [];
+  },
+
+  getRoleById(roleId) {
+    return this.getRoles().find(r => r.id === roleId);
+  },
+
+  // Vendor and purchase order registries (see Registry)
+  getVendors() {
+    return this.get(this.KEYS.VENDORS) || [];
+  },
+
+  getPurchaseOrders() {
+    return this.get(this.KEYS.PURCHASE_ORDERS) || [];
+  },
+
+  // Workflow rules (null until an admin saves a rule set)
+  getWorkflowRules() {
+    return this.get(this.KEYS.WORKFLOW_RULES);
+  },
+
   setCurrentUser(user) {
     this.set(this.KEYS.CURRENT_USER, user);
   },
 
+  // Settings (small config object, kept in localStorage)
+  getSettings() {
+    return this.get(this.KEYS.SETTINGS) || {};
+  },
+
+  updateSettings(updates) {
+    const settings = { ...this.getSettings(), ...updates };
+    this.set(this.KEYS.SETTINGS, settings);
+    return settings;
+  },
+
   // Document operations
   getDocuments() {
     return this.get(this.KEYS.DOCUMENTS) || [];
@@ -125,41 +343,103 @@ const Storage = {
   },
 
   addDocument(document) {
-    const documents = this.getDocuments();
     const newDoc = {
       id: `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       ...document,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
-    documents.push(newDoc);
-    this.set(this.KEYS.DOCUMENTS, documents);
-    return newDoc;
+    this._cacheFor(this.KEYS.DOCUMENTS).push(newDoc);
+    this._putRecords(this.KEYS.DOCUMENTS, [newDoc]);
+    return this._clone(newDoc);
   },
 
   updateDocument(docId, updates) {
-    const documents = this.getDocuments();
+    const documents = this._cacheFor(this.KEYS.DOCUMENTS);
     const index = documents.findIndex(d => d.id === docId);
-    
+
     if (index !== -1) {
-      documents[index] = {
-        ...documents[index],
-        ...updates,
-        updatedAt: new Date().toISOString()
-      };
-      this.set(this.KEYS.DOCUMENTS, documents);
-      return documents[index];
+      const changes = { ...updates, updatedAt: new Date().toISOString() };
+      documents[index] = this._clone({ ...documents[index], ...changes });
+      this._mergeRecord(this.KEYS.DOCUMENTS, docId, changes);
+      return this._clone(documents[index]);
     }
     return null;
   },
 
   deleteDocument(docId) {
-    const documents = this.getDocuments();
-    const filtered = documents.filter(d => d.id !== docId);
-    this.set(this.KEYS.DOCUMENTS, filtered);
+    const doc = this.getDocumentById(docId);
+    (doc && doc.revisions || []).forEach(revision => {
+      if (revision.archivedFile) this.deleteFile(revision.archivedFile);
+    });
+
+    this.cache[this.KEYS.DOCUMENTS] = this._cacheFor(this.KEYS.DOCUMENTS).filter(d => d.id !== docId);
+    this._deleteRecords(this.KEYS.DOCUMENTS, [docId]);
+    this.deleteFile(docId);
     return true;
   },
 
+  // Original file operations (async, blobs are never cached)
+  saveFile(docId, file) {
+    if (!this.db) return Promise.resolve(false);
+
+    const record = {
+      documentId: docId,
+      blob: file,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      storedAt: new Date().toISOString()
+    };
+
+    const write = this._transaction('files', 'readwrite', store => {
+      store.put(record);
+    })
+      .then(() => true)
+      .catch(error => {
+        console.error(`Error storing file for ${docId}:`, error);
+        if (error && error.name === 'QuotaExceededError') {
+          alert('Storage quota exceeded. Please clear some documents.');
+        }
+        return false;
+      })
+      .finally(() => this._pendingWrites.delete(write));
+
+    this._pendingWrites.add(write);
+    return write;
+  },
+
+  getFile(docId) {
+    if (!this.db) return Promise.resolve(null);
+
+    let request;
+    return this._transaction('files', 'readonly', store => {
+      request = store.get(docId);
+    })
+      .then(() => request.result || null)
+      .catch(error => {
+        console.error(`Error reading file for ${docId}:`, error);
+        return null;
+      });
+  },
+
+  // Copy a document's current file under another key (kept when a file is replaced)
+  async archiveFile(docId, archiveKey) {
+    const file = await this.getFile(docId);
+    if (!file) return false;
+    return this.saveFile(archiveKey, file.blob);
+  },
+
+  deleteFile(docId) {
+    if (!this.db) return Promise.resolve();
+
+    return this._transaction('files', 'readwrite', store => {
+      store.delete(docId);
+    }).catch(error => {
+      console.error(`Error deleting file for ${docId}:`, error);
+    });
+  },
+
   // Get documents by status
   getDocumentsByStatus(status) {
     const documents = this.getDocuments();
@@ -178,21 +458,22 @@ const Storage = {
   },
 
   addAuditLog(log) {
-    const logs = this.getAuditLogs();
+    const logs = this._cacheFor(this.KEYS.AUDIT_LOGS);
     const newLog = {
       id: `log_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       timestamp: new Date().toISOString(),
       ...log
     };
     logs.push(newLog);
-    
+    this._putRecords(this.KEYS.AUDIT_LOGS, [newLog]);
+
     // Keep only last 1000 logs to prevent storage overflow
     if (logs.length > 1000) {
-      logs.splice(0, logs.length - 1000);
+      const trimmed = logs.splice(0, logs.length - 1000);
+      this._deleteRecords(this.KEYS.AUDIT_LOGS, trimmed.map(l => l.id));
     }
-    
-    this.set(this.KEYS.AUDIT_LOGS, logs);
-    return newLog;
+
+    return this._clone(newLog);
   },
 
   // Get audit logs for a specific document
@@ -207,11 +488,10 @@ const Storage = {
     return logs.filter(log => log.userId === userId);
   },
 
-  // Statistics
-  getStats() {
-    const documents = this.getDocuments();
+  // Statistics (optionally over a subset of documents)
+  getStats(documents = this.getDocuments()) {
     const logs = this.getAuditLogs();
-    
+
     return {
       totalDocuments: documents.length,
       pending: documents.filter(d => d.status === 'pending').length,
@@ -219,6 +499,7 @@ const Storage = {
       needsReview: documents.filter(d => d.status === 'needs-review').length,
       approved: documents.filter(d => d.status === 'approved').length,
       rejected: documents.filter(d => d.status === 'rejected').length,
+      returned: documents.filter(d => d.status === 'returned').length,
       autoApproved: documents.filter(d => d.status === 'approved' && d.autoApproved).length,
       totalLogs: logs.length
     };
@@ -230,6 +511,8 @@ const Storage = {
       users: this.get(this.KEYS.USERS),
       documents: this.get(this.KEYS.DOCUMENTS),
       auditLogs: this.get(this.KEYS.AUDIT_LOGS),
+      vendors: this.get(this.KEYS.VENDORS),
+      purchaseOrders: this.get(this.KEYS.PURCHASE_ORDERS),
       exportedAt: new Date().toISOString()
     };
   },
@@ -240,6 +523,8 @@ const Storage = {
       if (data.users) this.set(this.KEYS.USERS, data.users);
       if (data.documents) this.set(this.KEYS.DOCUMENTS, data.documents);
       if (data.auditLogs) this.set(this.KEYS.AUDIT_LOGS, data.auditLogs);
+      if (data.vendors) this.set(this.KEYS.VENDORS, data.vendors);
+      if (data.purchaseOrders) this.set(this.KEYS.PURCHASE_ORDERS, data.purchaseOrders);
       return true;
     } catch (error) {
       console.error('Import error:', error);
@@ -255,21 +540,307 @@ const Storage = {
         totalSize += localStorage[key].length + key.length;
       }
     }
-    
+    if (this.db) {
+      Object.keys(this.STORES).forEach(key => {
+        totalSize += JSON.stringify(this.cache[key] || []).length;
+      });
+    }
+
     // Convert to KB
     const sizeKB = (totalSize / 1024).toFixed(2);
     const sizeMB = (totalSize / (1024 * 1024)).toFixed(2);
-    
+
     return {
+      backend: this.db ? 'IndexedDB' : 'localStorage',
       totalSize,
       sizeKB,
       sizeMB,
-      percentage: ((totalSize / (5 * 1024 * 1024)) * 100).toFixed(2) // Assuming 5MB limit
+      quotaMB: (this.quota / (1024 * 1024)).toFixed(0),
+      percentage: ((totalSize / this.quota) * 100).toFixed(2)
     };
+  },
+
+  // ---- IndexedDB internals ----
+
+  _openDatabase() {
+    return new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        console.warn('IndexedDB not available, falling back to localStorage');
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          const documents = db.createObjectStore('documents', { keyPath: 'id' });
+          documents.createIndex('status', 'status', { unique: false });
+          documents.createIndex('uploadedBy', 'uploadedBy', { unique: false });
+
+          const users = db.createObjectStore('users', { keyPath: 'id' });
+          users.createIndex('username', 'username', { unique: true });
+
+          const logs = db.createObjectStore('audit_logs', { keyPath: 'id' });
+          logs.createIndex('documentId', 'documentId', { unique: false });
+        }
+
+        if (event.oldVersion < 2) {
+          db.createObjectStore('files', { keyPath: 'documentId' });
+        }
+
+        if (event.oldVersion < 3) {
+          db.createObjectStore('vendors', { keyPath: 'id' });
+          db.createObjectStore('purchase_orders', { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        // Another tab upgraded the schema; let it proceed and reload onto the
+        // new version rather than carrying on without the database
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.flush().then(() => window.location.reload());
+        };
+        resolve(this.db);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to open IndexedDB, falling back to localStorage:', request.error);
+        resolve(null);
+      };
+
+      request.onblocked = () => {
+        console.warn('IndexedDB upgrade blocked by another open tab');
+      };
+    });
+  },
+
+  // One-time move of the legacy docflow_* arrays from localStorage into
+  // IndexedDB. The localStorage key is only removed once the records are
+  // committed, so an interrupted migration simply runs again next load.
+  _migrateFromLocalStorage() {
+    if (!this.db) return Promise.resolve();
+
+    const migrations = Object.keys(this.STORES).map(key => {
+      let records;
+      try {
+        records = JSON.parse(localStorage.getItem(key));
+      } catch (error) {
+        console.error(`Skipping migration of ${key}:`, error);
+        return Promise.resolve();
+      }
+      if (!Array.isArray(records)) return Promise.resolve();
+
+      return this._transaction(this.STORES[key], 'readwrite', store => {
+        records.filter(r => r && r.id).forEach(record => store.put(record));
+      }).then(() => {
+        localStorage.removeItem(key);
+        console.log(`✅ Migrated ${records.length} records from ${key} to IndexedDB`);
+      }).catch(error => {
+        console.error(`Migration of ${key} failed, will retry on next load:`, error);
+      });
+    });
+
+    return Promise.all(migrations);
+  },
+
+  _loadCache() {
+    const keys = Object.keys(this.STORES);
+
+    if (!this.db) {
+      keys.forEach(key => {
+        try {
+          this.cache[key] = JSON.parse(localStorage.getItem(key)) || [];
+        } catch (error) {
+          console.error(`Error getting ${key}:`, error);
+          this.cache[key] = [];
+        }
+      });
+      return Promise.resolve();
+    }
+
+    return Promise.all(keys.map(key => {
+      let request;
+      return this._transaction(this.STORES[key], 'readonly', store => {
+        request = store.getAll();
+      }).then(() => {
+        this.cache[key] = request.result || [];
+      });
+    }));
+  },
+
+  _estimateQuota() {
+    if (!this.db || typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+      return Promise.resolve();
+    }
+    return navigator.storage.estimate()
+      .then(estimate => {
+        if (estimate.quota) this.quota = estimate.quota;
+      })
+      .catch(() => { });
+  },
+
+  _cacheFor(key) {
+    if (!this.cache[key]) this.cache[key] = [];
+    return this.cache[key];
+  },
+
+  _clone(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+  },
+
+  // Run a transaction; resolves when it commits
+  _transaction(storeName, mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, mode);
+      work(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  // Persist a change to one store: { put, merge: { [id]: changes }, deleted,
+  // clear }. merge applies changes on top of the record as stored now, so
+  // fields another tab wrote since this one cached the record survive. The
+  // committed change is announced to the other tabs. Tracked so flush() can
+  // wait for it.
+  _persist(key, change) {
+    const applied = { put: [...(change.put || [])], deleted: change.deleted || [], clear: !!change.clear };
+    const merges = Object.entries(change.merge || {});
+
+    if (!this.db) {
+      // Fallback: the whole array lives in localStorage, re-read before writing
+      try {
+        const stored = applied.clear ? [] : JSON.parse(localStorage.getItem(key)) || [];
+        merges.forEach(([id, changes]) => {
+          const record = stored.find(r => r.id === id);
+          if (record) applied.put.push(this._clone({ ...record, ...changes }));
+        });
+        this.cache[key] = this._applyChange(stored, applied);
+        localStorage.setItem(key, JSON.stringify(this.cache[key]));
+      } catch (error) {
+        console.error(`Error setting ${key}:`, error);
+        if (error.name === 'QuotaExceededError') {
+          alert('Storage quota exceeded. Please clear some documents.');
+        }
+      }
+      return Promise.resolve();
+    }
+
+    const merged = [];
+    merges.forEach(([id]) => this._countMerge(key, id, 1));
+
+    const write = this._transaction(this.STORES[key], 'readwrite', store => {
+      if (applied.clear) store.clear();
+      applied.deleted.forEach(id => store.delete(id));
+      applied.put.forEach(record => store.put(record));
+      merges.forEach(([id, changes]) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (!request.result) return; // deleted in another tab
+          const record = this._clone({ ...request.result, ...changes });
+          store.put(record);
+          merged.push(record);
+        };
+      });
+    })
+      .then(() => {
+        // The stored record may carry other tabs' fields; take it unless a
+        // later local update is still on its way (its commit brings both)
+        const settled = merged.filter(record => this._countMerge(key, record.id, -1) === 0);
+        this.cache[key] = this._applyChange(this._cacheFor(key), { put: settled });
+        this._announce(key, { ...applied, put: [...applied.put, ...merged] });
+      })
+      .catch(error => {
+        merges.forEach(([id]) => this._countMerge(key, id, -1));
+        console.error(`Error persisting ${key}:`, error);
+        if (error && error.name === 'QuotaExceededError') {
+          alert('Storage quota exceeded. Please clear some documents.');
+        }
+      })
+      .finally(() => this._pendingWrites.delete(write));
+
+    this._pendingWrites.add(write);
+    return write;
+  },
+
+  _putRecords(key, records) {
+    return this._persist(key, { put: records });
+  },
+
+  _deleteRecords(key, ids) {
+    return this._persist(key, { deleted: ids });
+  },
+
+  _mergeRecord(key, id, changes) {
+    return this._persist(key, { merge: { [id]: changes } });
+  },
+
+  // Merges of a record still in flight, after adding delta
+  _countMerge(key, id, delta) {
+    const name = `${key}:${id}`;
+    const count = Math.max(0, (this._pendingMerges.get(name) || 0) + delta);
+    if (count === 0) {
+      this._pendingMerges.delete(name);
+    } else {
+      this._pendingMerges.set(name, count);
+    }
+    return count;
+  },
+
+  // records with a change applied: cleared, then deleted ids removed, then
+  // put records replacing those with the same id or appended
+  _applyChange(records, { put = [], deleted = [], clear = false }) {
+    const result = clear ? [] : records.filter(r => !deleted.includes(r.id));
+    put.forEach(record => {
+      const index = result.findIndex(r => r.id === record.id);
+      if (index === -1) {
+        result.push(record);
+      } else {
+        result[index] = record;
+      }
+    });
+    return result;
+  },
+
+  _announce(key, change) {
+    if (this._channel) {
+      this._channel.postMessage({ key, ...change });
+    }
+  },
+
+  // Keep the cache in step with writes made in other tabs
+  _listenForChanges() {
+    if (typeof window === 'undefined') return;
+
+    if (this.db && typeof BroadcastChannel !== 'undefined') {
+      this._channel = new BroadcastChannel(`${this.DB_NAME}-changes`);
+      this._channel.onmessage = ({ data }) => {
+        if (!this.STORES[data.key]) return;
+        this.cache[data.key] = this._applyChange(this._cacheFor(data.key), data);
+      };
+    }
+
+    // Without IndexedDB the arrays are in localStorage, which reports changes itself
+    window.addEventListener('storage', (event) => {
+      if (this.db || !this.STORES[event.key]) return;
+      try {
+        this.cache[event.key] = JSON.parse(event.newValue) || [];
+      } catch (error) {
+        console.error(`Error getting ${event.key}:`, error);
+      }
+    });
   }
 };
 
-// Initialize storage on load
+// Open storage on load
 if (typeof window !== 'undefined') {
-  Storage.initialize();
+  Storage.ready().catch(error => {
+    console.error('Storage initialization failed:', error);
+  });
 }
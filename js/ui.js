@@ -44,15 +44,21 @@ const UI = {
         return icons[type] || icons.info;
     },
 
-    // Modal system
-    showModal(title, content, buttons = []) {
+    // Modal system. onClose runs once when the modal goes away through its
+    // own controls or because another modal replaces it.
+    showModal(title, content, buttons = [], onClose = null) {
         // Remove existing modals
         const existingModals = document.querySelectorAll('.modal-overlay');
-        existingModals.forEach(m => m.remove());
+        existingModals.forEach(m => m.close ? m.close() : m.remove());
 
         // Create modal overlay
         const overlay = document.createElement('div');
         overlay.className = 'modal-overlay';
+        overlay.close = () => {
+            if (!overlay.isConnected) return;
+            overlay.remove();
+            if (onClose) onClose();
+        };
 
         // Create modal
         const modal = document.createElement('div');
@@ -63,8 +69,9 @@ const UI = {
         header.className = 'modal-header';
         header.innerHTML = `
       <h3 style="margin: 0;">${title}</h3>
-      <button onclick="this.closest('.modal-overlay').remove()" style="background: none; border: none; color: var(--text-secondary); cursor: pointer; font-size: 1.5rem; padding: 0;">&times;</button>
+      <button data-action="close" style="background: none; border: none; color: var(--text-secondary); cursor: pointer; font-size: 1.5rem; padding: 0;">&times;</button>
     `;
+        header.querySelector('[data-action="close"]').onclick = () => overlay.close();
 
         // Body
         const body = document.createElement('div');
@@ -85,7 +92,7 @@ const UI = {
             button.textContent = btn.text;
             button.onclick = () => {
                 if (btn.onClick) btn.onClick();
-                if (btn.closeOnClick !== false) overlay.remove();
+                if (btn.closeOnClick !== false) overlay.close();
             };
             footer.appendChild(button);
         });
@@ -99,7 +106,7 @@ const UI = {
 
         // Close on overlay click
         overlay.addEventListener('click', (e) => {
-            if (e.target === overlay) overlay.remove();
+            if (e.target === overlay) overlay.close();
         });
 
         return overlay;
@@ -123,6 +130,57 @@ const UI = {
         return this.showModal('Confirm', `<p>${message}</p>`, buttons);
     },
 
+    // Change password dialog for the logged-in user
+    showChangePasswordModal() {
+        const user = Auth.getCurrentUser();
+        if (!user) return;
+
+        const content = document.createElement('div');
+        content.innerHTML = `
+      <div class="form-group">
+        <label class="form-label" for="current-password">Current Password</label>
+        <input type="password" id="current-password" class="form-input" autocomplete="current-password">
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="new-password">New Password</label>
+        <input type="password" id="new-password" class="form-input" autocomplete="new-password">
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="confirm-password">Confirm New Password</label>
+        <input type="password" id="confirm-password" class="form-input" autocomplete="new-password">
+      </div>
+    `;
+
+        const buttons = [
+            { text: 'Cancel', className: 'btn-secondary' },
+            {
+                text: 'Change Password',
+                className: 'btn-primary',
+                onClick: async () => {
+                    const current = document.getElementById('current-password').value;
+                    const next = document.getElementById('new-password').value;
+                    const confirmation = document.getElementById('confirm-password').value;
+
+                    if (next !== confirmation) {
+                        this.showToast('New passwords do not match', 'error');
+                        return;
+                    }
+
+                    const result = await Auth.changePassword(user.id, current, next);
+                    if (result.success) {
+                        this.showToast(result.message, 'success');
+                        document.querySelector('.modal-overlay')?.remove();
+                    } else {
+                        this.showToast(result.message, 'error');
+                    }
+                },
+                closeOnClick: false
+            }
+        ];
+
+        return this.showModal('Change Password', content, buttons);
+    },
+
     // Loading spinner
     showLoading(message = 'Loading...') {
         const loading = document.createElement('div');
@@ -193,17 +251,34 @@ const UI = {
         return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
     },
 
-    // Render status badge
-    renderStatusBadge(status) {
+    // Text safe to place in HTML markup or a quoted attribute
+    escapeHtml(value) {
+        return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+
+    // Render status badge; pass the document to show its approval stage
+    renderStatusBadge(status, doc = null) {
         const statusConfig = {
             'pending': { label: 'Pending', class: 'status-pending' },
             'processing': { label: 'Processing', class: 'status-processing' },
             'needs-review': { label: 'Needs Review', class: 'status-pending' },
             'approved': { label: 'Approved', class: 'status-approved' },
-            'rejected': { label: 'Rejected', class: 'status-rejected' }
+            'rejected': { label: 'Rejected', class: 'status-rejected' },
+            'returned': { label: 'Returned for Correction', class: 'status-returned' }
         };
 
-        const config = statusConfig[status] || { label: status, class: 'status-pending' };
+        let config = statusConfig[status] || { label: status, class: 'status-pending' };
+
+        // Multi-stage approvals: name the stage the document is waiting on
+        const chain = doc && doc.approvalChain;
+        const stage = chain && chain.stages[chain.currentStage];
+        if (status === 'needs-review' && stage && chain.stages.length > 1) {
+            config = {
+                label: `${stage.name} (${chain.currentStage + 1}/${chain.stages.length})`,
+                class: 'status-pending'
+            };
+        }
 
         return `
       <span class="status-badge ${config.class}">
@@ -213,10 +288,81 @@ const UI = {
     `;
     },
 
+    // Per-stage approval history of a document
+    renderApprovalChain(doc) {
+        const chain = doc.approvalChain;
+        if (!chain || chain.stages.length === 0) return '';
+
+        const cell = 'padding: 0.5rem; border-bottom: 1px solid var(--border);';
+
+        return `
+      <table style="width: 100%; font-size: 0.875rem;">
+        ${chain.stages.map((stage, index) => {
+            const icon = stage.rejection ? '❌' : stage.completedAt ? '✅' : index === chain.currentStage ? '⏳' : '•';
+            const history = stage.approvals.map(a => `${this.escapeHtml(a.userName)} (${this.formatDate(a.approvedAt)})`);
+            if (stage.rejection) {
+                history.push(`rejected by ${this.escapeHtml(stage.rejection.userName)} (${this.formatDate(stage.rejection.rejectedAt)})`);
+            }
+
+            return `
+          <tr>
+            <td style="${cell}">${icon} <strong>${this.escapeHtml(stage.name)}</strong> ${stage.role ? this.renderRoleBadge(stage.role) : ''}</td>
+            <td style="${cell}">${stage.approvals.length}/${stage.required}</td>
+            <td style="${cell} color: var(--text-secondary);">${history.join(', ') || '—'}</td>
+          </tr>
+        `;
+        }).join('')}
+      </table>
+    `;
+    },
+
+    // Return-for-correction history: what each reviewer asked for and what changed
+    renderRevisionHistory(doc) {
+        const revisions = doc.revisions || [];
+        if (revisions.length === 0) return '';
+
+        const cell = 'padding: 0.5rem; border-bottom: 1px solid var(--border);';
+
+        return `
+      <table style="width: 100%; font-size: 0.875rem;">
+        ${revisions.map(revision => {
+            const changes = (revision.fieldChanges || []).map(c =>
+                `${this.escapeHtml(c.field)}: ${this.escapeHtml(c.before ?? '—')} → ${this.escapeHtml(c.after ?? '—')}`
+            );
+            if (revision.fileReplaced) changes.unshift(`replaced file ${this.escapeHtml(revision.snapshot.name)}`);
+
+            return `
+          <tr>
+            <td style="${cell}"><strong>Rev ${revision.revision}</strong></td>
+            <td style="${cell}">
+              ↩️ ${this.escapeHtml(revision.returnedByName)} (${this.formatDate(revision.returnedAt)}): ${this.escapeHtml(revision.comments)}
+            </td>
+            <td style="${cell} color: var(--text-secondary);">
+              ${revision.resubmittedAt
+                ? `Resubmitted ${this.formatDate(revision.resubmittedAt)}${changes.length ? ': ' + changes.join('; ') : ''}`
+                : 'Awaiting correction'}
+            </td>
+          </tr>
+        `;
+        }).join('')}
+      </table>
+    `;
+    },
+
     // Render role badge
     renderRoleBadge(role) {
-        const roleClass = `role-${role}`;
-        return `<span class="role-tag ${roleClass}">${role}</span>`;
+        return `<span class="role-tag ${this.getRoleClass(role)}">${this.getRoleLabel(role)}</span>`;
+    },
+
+    // Display name of a role id (custom roles carry their own name)
+    getRoleLabel(roleId) {
+        const role = typeof Auth !== 'undefined' ? Auth.getRole(roleId) : null;
+        return role ? role.name : roleId;
+    },
+
+    // Built-in roles have their own colours; custom roles share one
+    getRoleClass(roleId) {
+        return ['admin', 'reviewer', 'user'].includes(roleId) ? `role-${roleId}` : 'role-custom';
     },
 
     // Create document card
@@ -232,7 +378,7 @@ const UI = {
         </div>
       </div>
       <div>
-        ${this.renderStatusBadge(doc.status)}
+        ${this.renderStatusBadge(doc.status, doc)}
       </div>
     `;
         return card;
@@ -0,0 +1,175 @@
+// DocFlow AI - User Administration
+// Create, edit, deactivate and reset users (backs the manage_users permission)
+
+const Users = {
+    USERNAME_PATTERN: /^[a-zA-Z0-9._-]{3,32}$/,
+    EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+
+    // Get all users without credential fields
+    getAll() {
+        return Storage.getUsers().map(user => this._publicFields(user));
+    },
+
+    // Create a new user with an initial password
+    async create(data) {
+        const username = (data.username || '').trim();
+
+        if (!this.USERNAME_PATTERN.test(username)) {
+            throw new Error('Username must be 3-32 letters, digits, dots, dashes or underscores');
+        }
+        if (Storage.getUserByUsername(username)) {
+            throw new Error(`Username "${username}" is already taken`);
+        }
+        this._validateProfile(data);
+        this._validatePassword(data.password);
+
+        const user = Storage.addUser({
+            username,
+            fullName: data.fullName.trim(),
+            email: data.email.trim(),
+            role: data.role,
+            active: true
+        });
+        await Auth.setPassword(user.id, data.password);
+
+        Audit.log({
+            action: Audit.Actions.USER_CREATE,
+            details: `Created user ${username} with role ${data.role}`,
+            metadata: { targetUserId: user.id }
+        });
+
+        return {
+            success: true,
+            message: `User ${username} created`,
+            user: this._publicFields(user)
+        };
+    },
+
+    // Update profile fields and role
+    update(userId, data) {
+        const user = this._requireUser(userId);
+        this._validateProfile(data);
+
+        if (data.role !== user.role && !Auth.roleHasPermission(data.role, 'manage_users')) {
+            this._assertKeepsAnAdmin(user, 'demote');
+        }
+
+        const updated = Storage.updateUser(userId, {
+            fullName: data.fullName.trim(),
+            email: data.email.trim(),
+            role: data.role
+        });
+
+        if (data.role !== user.role) {
+            Audit.log({
+                action: Audit.Actions.USER_ROLE_CHANGE,
+                details: `Changed role of ${user.username} from ${user.role} to ${data.role}`,
+                metadata: { targetUserId: userId, from: user.role, to: data.role }
+            });
+        }
+
+        if (data.fullName.trim() !== user.fullName || data.email.trim() !== user.email) {
+            Audit.log({
+                action: Audit.Actions.USER_UPDATE,
+                details: `Updated profile of ${user.username}`,
+                metadata: { targetUserId: userId }
+            });
+        }
+
+        return {
+            success: true,
+            message: `User ${user.username} updated`,
+            user: this._publicFields(updated)
+        };
+    },
+
+    // Deactivate or reactivate an account
+    setActive(userId, active) {
+        const user = this._requireUser(userId);
+        const currentUser = Auth.getCurrentUser();
+
+        if (!active) {
+            if (currentUser && currentUser.id === userId) {
+                throw new Error('You cannot deactivate your own account');
+            }
+            this._assertKeepsAnAdmin(user, 'deactivate');
+        }
+
+        const updated = Storage.updateUser(userId, { active });
+
+        Audit.log({
+            action: active ? Audit.Actions.USER_REACTIVATE : Audit.Actions.USER_DEACTIVATE,
+            details: `${active ? 'Reactivated' : 'Deactivated'} user ${user.username}`,
+            metadata: { targetUserId: userId }
+        });
+
+        return {
+            success: true,
+            message: `User ${user.username} ${active ? 'reactivated' : 'deactivated'}`,
+            user: this._publicFields(updated)
+        };
+    },
+
+    // Set a new password on behalf of a user
+    async resetPassword(userId, newPassword) {
+        const user = this._requireUser(userId);
+        this._validatePassword(newPassword);
+
+        await Auth.setPassword(userId, newPassword);
+
+        Audit.log({
+            action: Audit.Actions.USER_PASSWORD_RESET,
+            details: `Reset password of ${user.username}`,
+            metadata: { targetUserId: userId }
+        });
+
+        return {
+            success: true,
+            message: `Password reset for ${user.username}`
+        };
+    },
+
+    // Count active users able to manage users, optionally ignoring one user
+    countActiveAdmins(excludeUserId = null) {
+        return Storage.getUsers().filter(u =>
+            Auth.roleHasPermission(u.role, 'manage_users') && u.active !== false && u.id !== excludeUserId
+        ).length;
+    },
+
+    _assertKeepsAnAdmin(user, change) {
+        if (Auth.roleHasPermission(user.role, 'manage_users') && user.active !== false && this.countActiveAdmins(user.id) === 0) {
+            throw new Error(`Cannot ${change} ${user.username}: they are the last remaining admin`);
+        }
+    },
+
+    _requireUser(userId) {
+        const user = Storage.getUserById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        return user;
+    },
+
+    _validateProfile(data) {
+        if (!data.fullName || !data.fullName.trim()) {
+            throw new Error('Full name is required');
+        }
+        if (!this.EMAIL_PATTERN.test((data.email || '').trim())) {
+            throw new Error('A valid email address is required');
+        }
+        if (!Auth.getRole(data.role)) {
+            throw new Error(`Unknown role: ${data.role}`);
+        }
+    },
+
+    _validatePassword(password) {
+        if (!password || password.length < Auth.MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${Auth.MIN_PASSWORD_LENGTH} characters`);
+        }
+    },
+
+    _publicFields(user) {
+        const { password, passwordHash, salt, iterations, ...rest } = user;
+        return { ...rest, active: user.active !== false };
+    }
+};
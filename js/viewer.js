@@ -0,0 +1,192 @@
+// DocFlow AI - Document Viewer
+// Renders the original uploaded file: zoom/pan for images, page-by-page for PDFs
+
+const Viewer = {
+    MIN_ZOOM: 0.25,
+    MAX_ZOOM: 5,
+    ZOOM_STEP: 0.25,
+
+    // The open PDF, released by unmount()
+    pdf: null,
+
+    // Load the stored original of a document and render it into container
+    async mount(container, docId) {
+        container.innerHTML = '<p class="text-muted" style="font-size: 0.875rem;">Loading original document...</p>';
+
+        const file = Access.canView(Storage.getDocumentById(docId)) ? await Storage.getFile(docId) : null;
+        if (!container.isConnected) return; // closed while loading
+        if (!file) {
+            container.innerHTML = '<p class="text-muted" style="font-size: 0.875rem;">Original file is not available for this document.</p>';
+            return;
+        }
+
+        try {
+            if (file.type.startsWith('image/')) {
+                this.renderImage(container, file.blob);
+            } else if (file.type === 'application/pdf') {
+                await this.renderPDF(container, file.blob);
+            } else {
+                container.innerHTML = `<p class="text-muted" style="font-size: 0.875rem;">Preview not supported for ${file.type}.</p>`;
+            }
+        } catch (error) {
+            console.error('Viewer error:', error);
+            container.innerHTML = `<p class="text-muted" style="font-size: 0.875rem;">❌ Could not render original: ${error.message}</p>`;
+        }
+    },
+
+    // Free the open PDF once the viewer's container is gone
+    unmount() {
+        if (this.pdf) {
+            this.pdf.destroy();
+            this.pdf = null;
+        }
+    },
+
+    // Image with wheel/button zoom and drag to pan
+    renderImage(container, blob) {
+        container.innerHTML = `
+      <div class="doc-viewer-toolbar">
+        <button class="btn btn-secondary btn-sm" data-action="zoom-out">−</button>
+        <span class="doc-viewer-label" data-role="zoom">100%</span>
+        <button class="btn btn-secondary btn-sm" data-action="zoom-in">+</button>
+        <button class="btn btn-secondary btn-sm" data-action="reset">Reset</button>
+      </div>
+      <div class="doc-viewer-viewport doc-viewer-pannable">
+        <img class="doc-viewer-image" alt="Original document" draggable="false">
+      </div>
+    `;
+
+        const viewport = container.querySelector('.doc-viewer-viewport');
+        const image = container.querySelector('.doc-viewer-image');
+        const zoomLabel = container.querySelector('[data-role="zoom"]');
+        const state = { zoom: 1, x: 0, y: 0 };
+
+        const apply = () => {
+            image.style.transform = `translate(${state.x}px, ${state.y}px) scale(${state.zoom})`;
+            zoomLabel.textContent = `${Math.round(state.zoom * 100)}%`;
+        };
+        const setZoom = (zoom) => {
+            state.zoom = Math.min(this.MAX_ZOOM, Math.max(this.MIN_ZOOM, zoom));
+            apply();
+        };
+
+        const url = URL.createObjectURL(blob);
+        image.onload = () => URL.revokeObjectURL(url);
+        image.src = url;
+
+        container.querySelector('[data-action="zoom-in"]').onclick = () => setZoom(state.zoom + this.ZOOM_STEP);
+        container.querySelector('[data-action="zoom-out"]').onclick = () => setZoom(state.zoom - this.ZOOM_STEP);
+        container.querySelector('[data-action="reset"]').onclick = () => {
+            state.x = 0;
+            state.y = 0;
+            setZoom(1);
+        };
+
+        viewport.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            setZoom(state.zoom + (e.deltaY < 0 ? this.ZOOM_STEP : -this.ZOOM_STEP));
+        }, { passive: false });
+
+        // Pointer events cover both mouse and touch panning
+        let drag = null;
+        viewport.addEventListener('pointerdown', (e) => {
+            drag = { startX: e.clientX - state.x, startY: e.clientY - state.y };
+            viewport.setPointerCapture(e.pointerId);
+            viewport.classList.add('dragging');
+        });
+        viewport.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            state.x = e.clientX - drag.startX;
+            state.y = e.clientY - drag.startY;
+            apply();
+        });
+        const endDrag = () => {
+            drag = null;
+            viewport.classList.remove('dragging');
+        };
+        viewport.addEventListener('pointerup', endDrag);
+        viewport.addEventListener('pointercancel', endDrag);
+
+        apply();
+    },
+
+    // PDF rendered one page at a time through pdf.js
+    async renderPDF(container, blob) {
+        if (typeof pdfjsLib === 'undefined') {
+            throw new Error('PDF.js library not loaded');
+        }
+
+        const pdf = await pdfjsLib.getDocument({ data: await blob.arrayBuffer() }).promise;
+        if (!container.isConnected) {
+            pdf.destroy();
+            return;
+        }
+        this.unmount();
+        this.pdf = pdf;
+
+        container.innerHTML = `
+      <div class="doc-viewer-toolbar">
+        <button class="btn btn-secondary btn-sm" data-action="prev">‹ Prev</button>
+        <span class="doc-viewer-label" data-role="page"></span>
+        <button class="btn btn-secondary btn-sm" data-action="next">Next ›</button>
+        <button class="btn btn-secondary btn-sm" data-action="zoom-out">−</button>
+        <span class="doc-viewer-label" data-role="zoom">100%</span>
+        <button class="btn btn-secondary btn-sm" data-action="zoom-in">+</button>
+      </div>
+      <div class="doc-viewer-viewport">
+        <canvas class="doc-viewer-canvas"></canvas>
+      </div>
+    `;
+
+        const canvas = container.querySelector('canvas');
+        const pageLabel = container.querySelector('[data-role="page"]');
+        const zoomLabel = container.querySelector('[data-role="zoom"]');
+        const state = { page: 1, zoom: 1, task: null, request: 0 };
+
+        // Quick clicks each ask for a render; only the latest
+        // one draws, after the one in flight has let go of the canvas
+        const render = async () => {
+            const request = ++state.request;
+            const page = await pdf.getPage(state.page);
+
+            if (state.task) {
+                state.task.cancel();
+                await state.task.promise.catch(() => {});
+            }
+            if (request !== state.request) return;
+            const baseWidth = page.getViewport({ scale: 1 }).width;
+            const fitScale = (container.clientWidth || baseWidth) / baseWidth;
+            const viewport = page.getViewport({ scale: fitScale * state.zoom });
+
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+
+            pageLabel.textContent = `Page ${state.page} of ${pdf.numPages}`;
+            zoomLabel.textContent = `${Math.round(state.zoom * 100)}%`;
+
+            state.task = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+            try {
+                await state.task.promise;
+            } catch (error) {
+                if (error.name !== 'RenderingCancelledException') throw error;
+            }
+        };
+
+        const rerender = () => render().catch(error => console.error('Viewer error:', error));
+        const goTo = (pageNum) => {
+            state.page = Math.min(pdf.numPages, Math.max(1, pageNum));
+            rerender();
+        };
+        const setZoom = (zoom) => {
+            state.zoom = Math.min(this.MAX_ZOOM, Math.max(this.MIN_ZOOM, zoom));
+            rerender();
+        };
+
+        container.querySelector('[data-action="prev"]').onclick = () => goTo(state.page - 1);
+        container.querySelector('[data-action="next"]').onclick = () => goTo(state.page + 1);
+        container.querySelector('[data-action="zoom-in"]').onclick = () => setZoom(state.zoom + this.ZOOM_STEP);
+        container.querySelector('[data-action="zoom-out"]').onclick = () => setZoom(state.zoom - this.ZOOM_STEP);
+
+        await render();
+    }
+};
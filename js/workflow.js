@@ -1,7 +1,175 @@
 // DocFlow AI - Workflow Engine
 // Implements rule-based approval logic and workflow automation
+//
+// Rules are plain data so admins can edit them (see rules.html / Rules):
+//   { id, name, enabled, priority, action, routeTo, reason, condition }
+// A condition is either a test { field, operator, value } or a group
+// { match: 'all' | 'any', conditions: [...] }. Enabled rules run from the
+// highest priority down and the first one that matches decides.
 
 const Workflow = {
+    // Document properties a condition can test. Extracted fields are
+    // addressed as "field:<Name>", e.g. "field:Invoice Number".
+    RULE_FIELDS: {
+        riskScore: { label: 'Risk score', kind: 'number' },
+        amount: { label: 'Amount (converted to USD)', kind: 'number' },
+        currency: { label: 'Currency (code)', kind: 'text' },
+        fieldCount: { label: 'Extracted field count', kind: 'number' },
+        type: { label: 'Document type', kind: 'text' },
+        keywords: { label: 'Keywords', kind: 'list' },
+        uploader: { label: 'Uploader (username)', kind: 'text' },
+        uploaderRole: { label: 'Uploader role', kind: 'text' },
+        daysOverdue: { label: 'Days past due date / expiration', kind: 'number' },
+        overdue: { label: 'Overdue invoice or expired contract', kind: 'text', options: ['yes', 'no'] },
+        lowConfidenceFields: { label: 'Low-confidence fields', kind: 'list' },
+        minFieldConfidence: { label: 'Lowest field confidence (0-100)', kind: 'number' },
+        poMatch: {
+            label: 'PO match status',
+            kind: 'text',
+            options: ['matched', 'no_po', 'po_not_found', 'vendor_mismatch', 'po_closed', 'amount_mismatch']
+        }
+    },
+
+    RULE_OPERATORS: {
+        equals: { label: 'equals' },
+        not_equals: { label: 'does not equal' },
+        gt: { label: '>' },
+        gte: { label: '≥' },
+        lt: { label: '<' },
+        lte: { label: '≤' },
+        contains: { label: 'contains' },
+        not_contains: { label: 'does not contain' },
+        exists: { label: 'is present', unary: true },
+        missing: { label: 'is missing', unary: true }
+    },
+
+    RULE_ACTIONS: {
+        approve: { label: 'Auto-approve' },
+        review: { label: 'Send to review' },
+        reject: { label: 'Auto-reject' },
+        route: { label: 'Route to role' }
+    },
+
+    // Manual sign-off stages, in order. A stage applies when the document
+    // amount is above minAmount (null: always) and, with types, only to those
+    // document types; role null means anyone allowed to approve the document.
+    // Override through Storage settings under `approvalStages`.
+    APPROVAL_STAGES: [
+        { id: 'review', name: 'Review', role: null, approvals: 1, minAmount: null },
+        { id: 'second-approval', name: 'Second Approval', role: null, approvals: 1, minAmount: 10000 },
+        { id: 'finance-signoff', name: 'Finance Sign-off', role: 'finance_manager', approvals: 1, minAmount: 50000, types: ['invoice'] }
+    ],
+
+    // Shipped rule set; matches the behaviour of the original hard-coded rules.
+    // Reasons may use {riskScore}, {amount}, {fieldCount}, {type}, {missing},
+    // {poMatch} and {daysOverdue}.
+    DEFAULT_RULES: [
+        {
+            id: 'high-risk-review',
+            name: 'High Risk Review',
+            enabled: true,
+            priority: 50,
+            action: 'review',
+            reason: 'High risk score ({riskScore}/10) requires manual review',
+            condition: { field: 'riskScore', operator: 'gte', value: 7 }
+        },
+        {
+            id: 'large-amount-review',
+            name: 'Large Amount Review',
+            enabled: true,
+            priority: 40,
+            action: 'review',
+            reason: 'Amount of {amount} requires manual review (threshold: $10,000)',
+            condition: { field: 'amount', operator: 'gte', value: 10000 }
+        },
+        {
+            id: 'missing-fields-review',
+            name: 'Missing Fields Review',
+            enabled: true,
+            priority: 30,
+            action: 'review',
+            reason: 'Missing critical fields: {missing}',
+            condition: {
+                match: 'any',
+                conditions: [
+                    {
+                        match: 'all',
+                        conditions: [
+                            { field: 'type', operator: 'equals', value: 'invoice' },
+                            {
+                                match: 'any',
+                                conditions: [
+                                    { field: 'field:Invoice Number', operator: 'missing' },
+                                    { field: 'field:Amount', operator: 'missing' },
+                                    { field: 'field:Date', operator: 'missing' }
+                                ]
+                            }
+                        ]
+                    },
+                    {
+                        match: 'all',
+                        conditions: [
+                            { field: 'type', operator: 'not_equals', value: 'invoice' },
+                            {
+                                match: 'any',
+                                conditions: [
+                                    { field: 'field:Contract Number', operator: 'missing' },
+                                    { field: 'field:Parties', operator: 'missing' },
+                                    { field: 'field:Effective Date', operator: 'missing' }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            }
+        },
+        {
+            id: 'moderate-risk-review',
+            name: 'Moderate Risk Review',
+            enabled: true,
+            priority: 20,
+            action: 'review',
+            reason: 'Moderate risk ({riskScore}/10) with amount {amount} requires review',
+            condition: {
+                match: 'all',
+                conditions: [
+                    { field: 'riskScore', operator: 'gte', value: 4 },
+                    { field: 'riskScore', operator: 'lt', value: 7 },
+                    { field: 'amount', operator: 'gte', value: 5000 }
+                ]
+            }
+        },
+        {
+            id: 'auto-approve-simple',
+            name: 'Auto Approve Simple Documents',
+            enabled: true,
+            priority: 10,
+            action: 'approve',
+            reason: 'Auto-approved: Low risk ({riskScore}/10), amount {amount} under threshold, {fieldCount} fields extracted',
+            condition: {
+                match: 'all',
+                conditions: [
+                    { field: 'riskScore', operator: 'lte', value: 3 },
+                    { field: 'amount', operator: 'lt', value: 5000 },
+                    {
+                        // At least 2 fields, or any field for small amounts
+                        match: 'any',
+                        conditions: [
+                            { field: 'fieldCount', operator: 'gte', value: 2 },
+                            {
+                                match: 'all',
+                                conditions: [
+                                    { field: 'amount', operator: 'lt', value: 1000 },
+                                    { field: 'fieldCount', operator: 'gte', value: 1 }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            }
+        }
+    ],
+
     // Process a document and make approval decision
     processDocument(documentId) {
         const document = Storage.getDocumentById(documentId);
@@ -9,208 +177,481 @@ const Workflow = {
             throw new Error('Document not found');
         }
 
-        // Apply workflow rules
+        // Match invoices against the PO registry so rules can use the result
+        const poMatch = Registry.matchInvoice(document);
+        Storage.updateDocument(documentId, { poMatch: poMatch || undefined });
+        document.poMatch = poMatch || undefined;
+
+        // Apply workflow rules; a suspected duplicate always goes to a person
         const decision = this.evaluateRules(document);
+        const duplicateOf = Duplicates.check(documentId);
+        if (duplicateOf && decision.status !== 'rejected') {
+            const note = `Possible duplicate of ${duplicateOf.documentName} (${Duplicates.describe(duplicateOf)})`;
+            decision.reason = decision.status === 'approved' ? note : `${note}; ${decision.reason}`;
+            decision.status = 'needs-review';
+            decision.autoApproved = false;
+        }
 
-        // Update document status
+        // Update document status; documents left for review get a fresh approval chain
         Storage.updateDocument(documentId, {
             status: decision.status,
             autoApproved: decision.autoApproved,
-            workflowReason: decision.reason
+            workflowReason: decision.reason,
+            workflowRule: decision.ruleId || undefined,
+            routedTo: decision.routedTo || undefined,
+            approvalChain: decision.status === 'needs-review' ? this.buildApprovalChain(document) : undefined,
+            slaDueAt: decision.status === 'needs-review' ? SLA.getDueAt({ ...document, slaDueAt: undefined }) || undefined : undefined,
+            priority: undefined,
+            escalationLevel: undefined,
+            escalatedAt: undefined,
+            assignedTo: undefined,
+            assignedAt: undefined,
+            claim: undefined
         });
 
         // Log the decision
+        const action = decision.status === 'approved' ? Audit.Actions.AUTO_APPROVE
+            : decision.status === 'rejected' ? Audit.Actions.AUTO_REJECT
+                : Audit.Actions.FLAG_REVIEW;
+
         Audit.log({
-            action: decision.autoApproved ? Audit.Actions.AUTO_APPROVE : Audit.Actions.FLAG_REVIEW,
+            action,
             documentId: document.id,
             documentName: document.name,
-            details: decision.reason
+            details: decision.reason,
+            metadata: { ruleId: decision.ruleId, routedTo: decision.routedTo }
         });
 
+        if (decision.status === 'needs-review') {
+            Assignment.autoAssign(documentId);
+        }
+
         return decision;
     },
 
-    // Evaluate workflow rules
-    evaluateRules(document) {
-        const rules = this.getRules();
-        let decision = {
+    // Evaluate workflow rules; the first matching rule by priority decides
+    evaluateRules(document, rules = this.getRules()) {
+        const values = this._ruleValues(document);
+        const ordered = rules
+            .filter(rule => rule.enabled !== false)
+            .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+        for (const rule of ordered) {
+            const result = this._matchCondition(rule.condition, values);
+            if (result.matched) {
+                return this._decide(rule, values, result.missing);
+            }
+        }
+
+        return {
             status: 'needs-review',
             autoApproved: false,
             reason: 'Document requires manual review',
+            ruleId: null,
             appliedRules: []
         };
+    },
+
+    // Stored rule set, or the defaults if none has been saved
+    getRules() {
+        return Storage.getWorkflowRules() || JSON.parse(JSON.stringify(this.DEFAULT_RULES));
+    },
 
-        // Check each rule
-        for (const rule of rules) {
-            const result = rule.evaluate(document);
+    // Dry run: replay a candidate rule set over stored documents and compare
+    // with what the current rules decide. Nothing is written.
+    simulateRules(candidateRules, documents = Storage.getDocuments()) {
+        const currentRules = this.getRules();
+        const ruleNames = rules => Object.fromEntries(rules.map(r => [r.id, r.name]));
+        const currentNames = ruleNames(currentRules);
+        const candidateNames = ruleNames(candidateRules);
 
-            if (result.matched) {
-                decision = {
-                    status: result.status,
-                    autoApproved: result.autoApproved,
-                    reason: result.reason,
-                    appliedRules: [...decision.appliedRules, rule.name]
-                };
-
-                // If any rule requires review, override auto-approval
-                if (result.status === 'needs-review') {
-                    decision.autoApproved = false;
-                    break;
-                }
+        const outcomes = ['approved', 'needs-review', 'rejected'];
+        const matrix = Object.fromEntries(outcomes.map(before =>
+            [before, Object.fromEntries(outcomes.map(after => [after, 0]))]
+        ));
+
+        const changes = [];
+        let skipped = 0;
+
+        documents.forEach(doc => {
+            // Still being processed: nothing to decide on yet
+            if (doc.status === 'pending' || doc.status === 'processing') {
+                skipped++;
+                return;
             }
+
+            const before = this.evaluateRules(doc, currentRules);
+            const after = this.evaluateRules(doc, candidateRules);
+            matrix[before.status][after.status]++;
+
+            if (before.status !== after.status || before.routedTo !== after.routedTo) {
+                changes.push({
+                    documentId: doc.id,
+                    documentName: doc.name,
+                    type: doc.type,
+                    recordedStatus: doc.status,
+                    before: { status: before.status, routedTo: before.routedTo, ruleId: before.ruleId, ruleName: currentNames[before.ruleId] || null },
+                    after: { status: after.status, routedTo: after.routedTo, ruleId: after.ruleId, ruleName: candidateNames[after.ruleId] || null, reason: after.reason }
+                });
+            }
+        });
+
+        return {
+            evaluated: documents.length - skipped,
+            skipped,
+            changed: changes.length,
+            outcomes,
+            matrix,
+            changes
+        };
+    },
+
+    _decide(rule, values, missing) {
+        const decision = {
+            status: 'needs-review',
+            autoApproved: false,
+            reason: this._formatReason(rule.reason || rule.name, values, missing),
+            ruleId: rule.id,
+            appliedRules: [rule.name]
+        };
+
+        if (rule.action === 'approve') {
+            decision.status = 'approved';
+            decision.autoApproved = true;
+        } else if (rule.action === 'reject') {
+            decision.status = 'rejected';
+        } else if (rule.action === 'route') {
+            decision.routedTo = rule.routeTo;
         }
 
         return decision;
     },
 
-    // Define workflow rules (in order of precedence)
-    getRules() {
-        return [
-            // Rule 1: High risk always needs review
-            {
-                name: 'High Risk Review',
-                evaluate: (doc) => {
-                    if (doc.riskScore >= 7) {
-                        return {
-                            matched: true,
-                            status: 'needs-review',
-                            autoApproved: false,
-                            reason: `High risk score (${doc.riskScore}/10) requires manual review`
-                        };
-                    }
-                    return { matched: false };
-                }
-            },
-
-            // Rule 2: Large amounts need review
-            {
-                name: 'Large Amount Review',
-                evaluate: (doc) => {
-                    const amount = this._extractAmount(doc);
-                    if (amount >= 10000) {
-                        return {
-                            matched: true,
-                            status: 'needs-review',
-                            autoApproved: false,
-                            reason: `Amount of $${amount.toLocaleString()} requires manual review (threshold: $10,000)`
-                        };
-                    }
-                    return { matched: false };
-                }
-            },
-
-            // Rule 3: Missing critical fields need review
-            {
-                name: 'Missing Fields Review',
-                evaluate: (doc) => {
-                    const criticalFields = doc.type === 'invoice'
-                        ? ['Invoice Number', 'Amount', 'Date']
-                        : ['Contract Number', 'Parties', 'Effective Date'];
-
-                    const missingFields = criticalFields.filter(field =>
-                        !doc.extractedFields || !doc.extractedFields[field]
-                    );
-
-                    if (missingFields.length > 0) {
-                        return {
-                            matched: true,
-                            status: 'needs-review',
-                            autoApproved: false,
-                            reason: `Missing critical fields: ${missingFields.join(', ')}`
-                        };
-                    }
-                    return { matched: false };
-                }
-            },
-
-            // Rule 4: Moderate risk with moderate amount needs review
-            {
-                name: 'Moderate Risk Review',
-                evaluate: (doc) => {
-                    const amount = this._extractAmount(doc);
-                    if (doc.riskScore >= 4 && doc.riskScore < 7 && amount >= 5000) {
-                        return {
-                            matched: true,
-                            status: 'needs-review',
-                            autoApproved: false,
-                            reason: `Moderate risk (${doc.riskScore}/10) with amount $${amount.toLocaleString()} requires review`
-                        };
-                    }
-                    return { matched: false };
-                }
-            },
-
-            // Rule 5: Auto-approve simple, low-risk documents
-            {
-                name: 'Auto Approve Simple Documents',
-                evaluate: (doc) => {
-                    const amount = this._extractAmount(doc);
-                    const fieldsCount = doc.extractedFields ? Object.keys(doc.extractedFields).length : 0;
-
-                    // More lenient auto-approval:
-                    // - Risk score < 3 (very low risk)
-                    // - Amount < $5,000
-                    // - Has at least 2 extracted fields (or any fields for low amounts)
-                    const hasEnoughFields = fieldsCount >= 2 || (amount < 1000 && fieldsCount >= 1);
-
-                    if (doc.riskScore <= 3 && amount < 5000 && hasEnoughFields) {
-                        return {
-                            matched: true,
-                            status: 'approved',
-                            autoApproved: true,
-                            reason: `Auto-approved: Low risk (${doc.riskScore}/10), amount $${amount.toLocaleString()} under threshold, ${fieldsCount} fields extracted`
-                        };
-                    }
-                    return { matched: false };
-                }
+    // Everything a condition can look at, resolved once per document
+    _ruleValues(document) {
+        const uploader = document.uploadedBy ? Storage.getUserById(document.uploadedBy) : null;
+        const money = Currency.fromFields(document.extractedFields);
+        const deadline = Dates.getDeadline(document);
+
+        return {
+            riskScore: document.riskScore,
+            amount: this._extractAmount(document),
+            currency: money ? money.currency : null,
+            fieldCount: Object.keys(document.extractedFields || {}).filter(key => key !== 'Currency').length,
+            type: document.type,
+            keywords: document.keywords || [],
+            uploader: uploader ? uploader.username : null,
+            uploaderRole: uploader ? uploader.role : null,
+            poMatch: document.poMatch ? document.poMatch.status : null,
+            daysOverdue: deadline ? deadline.daysOverdue : null,
+            overdue: deadline ? (deadline.overdue ? 'yes' : 'no') : null,
+            lowConfidenceFields: Confidence.lowFields(document),
+            minFieldConfidence: Confidence.lowest(document),
+            fields: document.extractedFields || {}
+        };
+    },
+
+    // Returns { matched, missing } where missing lists the absent fields
+    // that made a matching branch true (used by the {missing} placeholder)
+    _matchCondition(condition, values) {
+        if (!condition) return { matched: true, missing: [] };
+
+        if (condition.conditions) {
+            const results = condition.conditions.map(child => this._matchCondition(child, values));
+            const matched = condition.match === 'any'
+                ? results.some(r => r.matched)
+                : results.every(r => r.matched);
+
+            return {
+                matched,
+                missing: matched ? results.filter(r => r.matched).flatMap(r => r.missing) : []
+            };
+        }
+
+        const actual = this._valueOf(condition.field, values);
+        const matched = this._compare(actual, condition.operator, condition.value);
+        const missing = matched && condition.operator === 'missing' ? [this.fieldLabel(condition.field)] : [];
+
+        return { matched, missing };
+    },
+
+    _valueOf(field, values) {
+        if (field && field.startsWith('field:')) {
+            return values.fields[field.slice('field:'.length)];
+        }
+        return values[field];
+    },
+
+    _compare(actual, operator, expected) {
+        const isEmpty = actual === undefined || actual === null || actual === '' ||
+            (Array.isArray(actual) && actual.length === 0);
+
+        switch (operator) {
+            case 'exists':
+                return !isEmpty;
+            case 'missing':
+                return isEmpty;
+            case 'gt':
+            case 'gte':
+            case 'lt':
+            case 'lte': {
+                const a = this._toNumber(actual);
+                const b = this._toNumber(expected);
+                if (isNaN(a) || isNaN(b)) return false;
+                return operator === 'gt' ? a > b
+                    : operator === 'gte' ? a >= b
+                        : operator === 'lt' ? a < b
+                            : a <= b;
             }
-        ];
+        }
+
+        if (isEmpty) return operator === 'not_equals' || operator === 'not_contains';
+
+        const wanted = String(expected).toLowerCase();
+        const items = (Array.isArray(actual) ? actual : [actual]).map(item => String(item).toLowerCase());
+
+        switch (operator) {
+            case 'equals':
+                return items.includes(wanted);
+            case 'not_equals':
+                return !items.includes(wanted);
+            case 'contains':
+                return items.some(item => item.includes(wanted));
+            case 'not_contains':
+                return !items.some(item => item.includes(wanted));
+            default:
+                return false;
+        }
+    },
+
+    _toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (value === undefined || value === null || value === '') return NaN;
+        // Field and rule values are stored in the "1,234.56" form
+        const parsed = Currency.parse(value, Currency.STORED_DECIMAL);
+        return parsed ? parsed.value : parseFloat(value);
+    },
+
+    _formatReason(template, values, missing) {
+        const replacements = {
+            riskScore: values.riskScore,
+            amount: this._formatAmount(values),
+            fieldCount: values.fieldCount,
+            type: values.type,
+            missing: missing.join(', '),
+            poMatch: values.poMatch ? Registry.MATCH_STATUSES[values.poMatch].label : 'not checked',
+            daysOverdue: values.daysOverdue === null ? 'unknown' : values.daysOverdue,
+            lowConfidence: values.lowConfidenceFields.length > 0 ? values.lowConfidenceFields.join(', ') : 'none'
+        };
+        return template.replace(/\{(\w+)\}/g, (token, key) =>
+            key in replacements ? String(replacements[key]) : token
+        );
+    },
+
+    // Display name of a condition field
+    fieldLabel(field) {
+        if (field && field.startsWith('field:')) return field.slice('field:'.length);
+        return this.RULE_FIELDS[field] ? this.RULE_FIELDS[field].label : field;
+    },
+
+    // "$1,080.00", or "$1,080.00 (€1,000.00)" for amounts in another currency
+    _formatAmount(values) {
+        const money = Currency.fromFields(values.fields);
+        const base = Currency.format(values.amount, Currency.BASE);
+        return money && money.currency !== Currency.BASE ? `${base} (${Currency.format(money.value, money.currency)})` : base;
     },
 
-    // Helper to extract amount from document
+    // Document amount in the base currency (0 when none was extracted)
     _extractAmount(document) {
-        if (!document.extractedFields) return 0;
+        const money = Currency.fromFields(document.extractedFields);
+        return money ? money.base : 0;
+    },
+
+    getApprovalStages() {
+        return Storage.getSettings().approvalStages || this.APPROVAL_STAGES;
+    },
+
+    // Stages this document has to pass before it is approved
+    buildApprovalChain(document) {
+        const amount = this._extractAmount(document);
+
+        return {
+            currentStage: 0,
+            stages: this.getApprovalStages()
+                .filter(stage => stage.minAmount === null || stage.minAmount === undefined || amount > stage.minAmount)
+                .filter(stage => !stage.types || stage.types.includes(document.type))
+                .map(stage => ({
+                    id: stage.id,
+                    name: stage.name,
+                    role: stage.role || null,
+                    required: stage.approvals || 1,
+                    approvals: [],
+                    completedAt: null
+                }))
+        };
+    },
+
+    // Stage the document is waiting on, or null
+    getCurrentStage(document) {
+        const chain = document.approvalChain;
+        return chain ? chain.stages[chain.currentStage] || null : null;
+    },
+
+    // Why a user cannot approve the document's current stage, or null if they can.
+    // ignoreClaim skips the claim lock (used when choosing whom to assign).
+    getApprovalBlocker(document, userId, options = {}) {
+        if (document.status !== 'needs-review') {
+            return 'Document is no longer awaiting review';
+        }
+
+        if (!Auth.userHasPermission(userId, 'approve_document', document)) {
+            return `You are not allowed to approve ${document.type} documents`;
+        }
+
+        const claimBlocker = options.ignoreClaim ? null : this._claimBlocker(document, userId);
+        if (claimBlocker) {
+            return claimBlocker;
+        }
+
+        const chain = document.approvalChain || this.buildApprovalChain(document);
+        const stage = chain.stages[chain.currentStage];
+        if (!stage) {
+            return 'This document has no approval stage left';
+        }
+
+        const stageBlocker = this._stageRoleBlocker(document, userId);
+        if (stageBlocker) {
+            return stageBlocker;
+        }
+
+        const signed = chain.stages.find(s => s.approvals.some(a => a.userId === userId));
+        if (signed) {
+            return `You already approved this document at the ${signed.name} stage; each approval needs a different person`;
+        }
 
-        const amountField = document.extractedFields['Amount'] ||
-            document.extractedFields['Value'] ||
-            document.extractedFields['Total'];
+        return null;
+    },
 
-        if (!amountField) return 0;
+    // The current stage asks for a role the user doesn't have
+    _stageRoleBlocker(document, userId) {
+        const chain = document.approvalChain || this.buildApprovalChain(document);
+        const stage = chain.stages[chain.currentStage];
+        const user = Storage.getUserById(userId);
+        if (stage && stage.role && (!user || user.role !== stage.role)) {
+            const role = Auth.getRole(stage.role);
+            return `${stage.name} needs sign-off from a ${role ? role.name : stage.role}`;
+        }
+        return null;
+    },
 
-        // Extract numeric value
-        const numericValue = amountField.toString().replace(/[$,]/g, '');
-        return parseFloat(numericValue) || 0;
+    // The user has to hold the review lock (see Assignment.getLockBlocker)
+    _claimBlocker(document, userId) {
+        return Assignment.getLockBlocker(document, userId);
     },
 
-    // Manual approval by reviewer
+    // Manual approval by reviewer; completes the current stage, and the
+    // document once every stage has its approvals
     approveDocument(documentId, reviewerId, comments = '') {
-        const document = Storage.getDocumentById(documentId);
+        let document = Storage.getDocumentById(documentId);
         if (!document) {
             throw new Error('Document not found');
         }
 
+        let blocker = this.getApprovalBlocker(document, reviewerId);
+        if (blocker) {
+            throw new Error(blocker);
+        }
+
+        // Corrected fields can change what the rules ask for (more stages,
+        // or an outright rejection), so they are re-checked before signing
+        if (document.fieldCorrections && document.fieldCorrections.length > 0) {
+            const decision = this._reevaluate(document);
+            if (decision.status === 'rejected') {
+                throw new Error(`Corrected fields fail the workflow rules (${decision.reason}). Reject or return the document instead.`);
+            }
+
+            document = Storage.getDocumentById(documentId);
+            blocker = this.getApprovalBlocker(document, reviewerId);
+            if (blocker) {
+                throw new Error(blocker);
+            }
+        }
+
+        // Documents flagged before approval chains existed get one now
+        const chain = document.approvalChain || this.buildApprovalChain(document);
+        const stage = chain.stages[chain.currentStage];
+        const reviewer = Storage.getUserById(reviewerId);
+        const now = new Date().toISOString();
+
+        stage.approvals.push({
+            userId: reviewerId,
+            userName: reviewer.username,
+            approvedAt: now,
+            comments
+        });
+
+        const stageComplete = stage.approvals.length >= stage.required;
+        if (stageComplete) {
+            stage.completedAt = now;
+            chain.currentStage++;
+        }
+
+        const nextStage = chain.stages[chain.currentStage];
+        if (nextStage) {
+            Storage.updateDocument(documentId, { approvalChain: chain, claim: undefined });
+
+            Audit.log({
+                action: Audit.Actions.STAGE_APPROVE,
+                userId: reviewerId,
+                userName: reviewer.username,
+                documentId: document.id,
+                documentName: document.name,
+                details: stageComplete
+                    ? `Completed ${stage.name} stage; awaiting ${nextStage.name}`
+                    : `Approved ${stage.name} stage (${stage.approvals.length}/${stage.required})`,
+                comments,
+                metadata: { stage: stage.id }
+            });
+
+            // The next approval has to come from someone else
+            Assignment.autoAssign(documentId);
+
+            return {
+                success: true,
+                complete: false,
+                message: stageComplete
+                    ? `${stage.name} complete. Awaiting ${nextStage.name}.`
+                    : `Approval recorded (${stage.approvals.length}/${stage.required} for ${stage.name})`
+            };
+        }
+
         // Update document
         Storage.updateDocument(documentId, {
             status: 'approved',
+            approvalChain: chain,
+            claim: undefined,
             reviewedBy: reviewerId,
-            reviewedAt: new Date().toISOString(),
+            reviewedAt: now,
             reviewComments: comments
         });
 
         // Log approval
-        const reviewer = Storage.getUserById(reviewerId);
         Audit.log({
             action: Audit.Actions.APPROVE,
             userId: reviewerId,
-            userName: reviewer ? reviewer.username : 'Unknown',
+            userName: reviewer.username,
             documentId: document.id,
             documentName: document.name,
-            details: `Document approved`,
-            comments: comments
+            details: chain.stages.length > 1
+                ? `Document approved (all ${chain.stages.length} stages complete)`
+                : 'Document approved',
+            comments: comments,
+            metadata: { stage: stage.id }
         });
 
         return {
             success: true,
+            complete: true,
             message: 'Document approved successfully'
         };
     },
@@ -222,21 +663,55 @@ const Workflow = {
             throw new Error('Document not found');
         }
 
+        if (!Auth.userHasPermission(reviewerId, 'reject_document', document)) {
+            throw new Error(`You are not allowed to reject ${document.type} documents`);
+        }
+
+        if (document.status !== 'needs-review') {
+            throw new Error('Document is no longer awaiting review');
+        }
+
+        const claimBlocker = this._claimBlocker(document, reviewerId);
+        if (claimBlocker) {
+            throw new Error(claimBlocker);
+        }
+
+        // Only someone who could sign the current stage can reject at it
+        const stageBlocker = this._stageRoleBlocker(document, reviewerId);
+        if (stageBlocker) {
+            throw new Error(stageBlocker);
+        }
+
         // Rejection requires a reason
         if (!reason || reason.trim() === '') {
             throw new Error('Rejection reason is required');
         }
 
+        // Record the rejection against the stage it happened at
+        const reviewer = Storage.getUserById(reviewerId);
+        const chain = document.approvalChain || this.buildApprovalChain(document);
+        const stage = chain.stages[chain.currentStage];
+        const now = new Date().toISOString();
+        if (stage) {
+            stage.rejection = {
+                userId: reviewerId,
+                userName: reviewer ? reviewer.username : 'Unknown',
+                rejectedAt: now,
+                reason
+            };
+        }
+
         // Update document
         Storage.updateDocument(documentId, {
             status: 'rejected',
+            approvalChain: chain,
+            claim: undefined,
             reviewedBy: reviewerId,
-            reviewedAt: new Date().toISOString(),
+            reviewedAt: now,
             rejectionReason: reason
         });
 
         // Log rejection
-        const reviewer = Storage.getUserById(reviewerId);
         Audit.log({
             action: Audit.Actions.REJECT,
             userId: reviewerId,
@@ -253,15 +728,343 @@ const Workflow = {
         };
     },
 
+    // Send a document back to its uploader to fix; the current content is kept
+    // as a revision so nothing the reviewer saw is lost
+    returnDocument(documentId, reviewerId, comments = '') {
+        const document = Storage.getDocumentById(documentId);
+        if (!document) {
+            throw new Error('Document not found');
+        }
+
+        if (!Auth.userHasPermission(reviewerId, 'review_document', document)) {
+            throw new Error(`You are not allowed to review ${document.type} documents`);
+        }
+
+        if (document.status !== 'needs-review') {
+            throw new Error('Document is no longer awaiting review');
+        }
+
+        const claimBlocker = this._claimBlocker(document, reviewerId);
+        if (claimBlocker) {
+            throw new Error(claimBlocker);
+        }
+
+        const stageBlocker = this._stageRoleBlocker(document, reviewerId);
+        if (stageBlocker) {
+            throw new Error(stageBlocker);
+        }
+
+        // The uploader needs to know what to fix
+        if (!comments || comments.trim() === '') {
+            throw new Error('Tell the uploader what needs correcting');
+        }
+
+        const reviewer = Storage.getUserById(reviewerId);
+        const revision = {
+            revision: document.revision || 1,
+            returnedBy: reviewerId,
+            returnedByName: reviewer ? reviewer.username : 'Unknown',
+            returnedAt: new Date().toISOString(),
+            comments,
+            snapshot: {
+                name: document.name,
+                fileSize: document.fileSize,
+                fileType: document.fileType,
+                extractedText: document.extractedText,
+                extractedFields: document.extractedFields,
+                summary: document.summary,
+                riskScore: document.riskScore,
+                keywords: document.keywords,
+                lineItems: document.lineItems,
+                fieldConfidence: document.fieldConfidence,
+                ocrConfidence: document.ocrConfidence,
+                pageSources: document.pageSources,
+                language: document.language,
+                workflowReason: document.workflowReason,
+                approvalChain: document.approvalChain
+            }
+        };
+
+        Storage.updateDocument(documentId, {
+            status: 'returned',
+            revisions: [...(document.revisions || []), revision],
+            returnComments: comments,
+            approvalChain: undefined,
+            assignedTo: undefined,
+            assignedAt: undefined,
+            claim: undefined
+        });
+
+        Audit.log({
+            action: Audit.Actions.RETURN,
+            userId: reviewerId,
+            userName: revision.returnedByName,
+            documentId: document.id,
+            documentName: document.name,
+            details: `Returned revision ${revision.revision} to the uploader for correction`,
+            comments
+        });
+
+        return {
+            success: true,
+            message: 'Document returned for correction'
+        };
+    },
+
+    // Uploader sends a returned document back in. changes may carry corrected
+    // extractedFields (with fieldConfidence) and, after a replacement file was
+    // re-extracted, name, fileSize, fileType, extractedText, summary,
+    // riskScore, keywords, lineItems, ocrConfidence, pageSources and language.
+    // The document then goes through processDocument again.
+    resubmitDocument(documentId, userId, changes = {}) {
+        const document = Storage.getDocumentById(documentId);
+        if (!document) {
+            throw new Error('Document not found');
+        }
+
+        if (document.uploadedBy !== userId || !Auth.userHasPermission(userId, 'upload_document')) {
+            throw new Error('Only the uploader can resubmit this document');
+        }
+
+        if (document.status !== 'returned') {
+            throw new Error('Document has not been returned for correction');
+        }
+
+        const allowed = ['name', 'fileSize', 'fileType', 'extractedText', 'extractedFields', 'summary', 'riskScore', 'keywords', 'lineItems', 'fieldConfidence', 'ocrConfidence', 'pageSources', 'language', 'archivedFile'];
+        const updates = {};
+        Object.keys(changes).filter(key => allowed.includes(key)).forEach(key => {
+            updates[key] = changes[key];
+        });
+        if (updates.extractedFields) {
+            updates.extractedFields = { ...updates.extractedFields };
+            this._normalizeDates(updates.extractedFields,
+                this._diffFields(document.extractedFields || {}, updates.extractedFields).map(change => change.field));
+        }
+
+        // Record what changed against the revision that was returned
+        const revisions = [...(document.revisions || [])];
+        const returned = revisions[revisions.length - 1];
+        const fieldChanges = this._diffFields(document.extractedFields || {}, updates.extractedFields || document.extractedFields || {});
+        const fileReplaced = !!updates.archivedFile;
+        if (fieldChanges.length === 0 && !fileReplaced) {
+            throw new Error('Correct at least one field or attach a replacement file');
+        }
+
+        const user = Storage.getUserById(userId);
+        const now = new Date().toISOString();
+        if (returned) {
+            revisions[revisions.length - 1] = {
+                ...returned,
+                archivedFile: updates.archivedFile,
+                resubmittedAt: now,
+                resubmittedBy: userId,
+                fieldChanges,
+                fileReplaced
+            };
+        }
+        delete updates.archivedFile;
+
+        Storage.updateDocument(documentId, {
+            ...updates,
+            status: 'processing',
+            revision: (document.revision || 1) + 1,
+            revisions,
+            resubmittedAt: now,
+            returnComments: undefined,
+            reviewedBy: undefined,
+            reviewedAt: undefined
+        });
+
+        Audit.log({
+            action: Audit.Actions.RESUBMIT,
+            userId,
+            userName: user ? user.username : 'Unknown',
+            documentId: document.id,
+            documentName: updates.name || document.name,
+            details: `Resubmitted as revision ${(document.revision || 1) + 1}: ` + [
+                fileReplaced ? 'replaced file' : null,
+                fieldChanges.length > 0 ? `corrected ${fieldChanges.map(c => c.field).join(', ')}` : null
+            ].filter(Boolean).join('; '),
+            metadata: { fieldChanges, fileReplaced }
+        });
+
+        return this.processDocument(documentId);
+    },
+
+    // Reviewer fixes misread extracted fields during review. updates maps
+    // field name to the corrected value ('' removes the field). Every change
+    // is kept as { field, before, after } on the document and audited, then
+    // the rules are re-run on the corrected fields.
+    correctFields(documentId, reviewerId, updates) {
+        const document = Storage.getDocumentById(documentId);
+        if (!document) {
+            throw new Error('Document not found');
+        }
+
+        if (!Auth.userHasPermission(reviewerId, 'review_document', document)) {
+            throw new Error(`You are not allowed to review ${document.type} documents`);
+        }
+
+        if (document.status !== 'needs-review') {
+            throw new Error('Document is no longer awaiting review');
+        }
+
+        const claimBlocker = this._claimBlocker(document, reviewerId);
+        if (claimBlocker) {
+            throw new Error(claimBlocker);
+        }
+
+        const before = document.extractedFields || {};
+        const after = { ...before };
+        Object.entries(updates).forEach(([field, value]) => {
+            const trimmed = String(value ?? '').trim();
+            if (trimmed === '') {
+                delete after[field];
+            } else {
+                after[field] = trimmed;
+            }
+        });
+
+        this._normalizeAmounts(after, Object.keys(updates));
+        if (after['Currency'] && !Currency.getRates()[after['Currency'].toUpperCase()]) {
+            throw new Error(`No exchange rate for currency "${after['Currency']}"; add it under Exchange Rates first`);
+        }
+        this._normalizeDates(after, Object.keys(updates));
+
+        const changes = this._diffFields(before, after);
+        if (changes.length === 0) {
+            throw new Error('No fields were changed');
+        }
+
+        const reviewer = Storage.getUserById(reviewerId);
+        const now = new Date().toISOString();
+        const corrections = changes.map(change => ({
+            ...change,
+            userId: reviewerId,
+            userName: reviewer ? reviewer.username : 'Unknown',
+            correctedAt: now
+        }));
+
+        Storage.updateDocument(documentId, {
+            extractedFields: after,
+            fieldConfidence: Confidence.applyChanges(document.fieldConfidence, changes, reviewer ? reviewer.username : 'Unknown'),
+            fieldCorrections: [...(document.fieldCorrections || []), ...corrections]
+        });
+
+        corrections.forEach(correction => {
+            Audit.log({
+                action: Audit.Actions.FIELD_CORRECT,
+                userId: reviewerId,
+                userName: correction.userName,
+                documentId: document.id,
+                documentName: document.name,
+                details: `Corrected ${correction.field}: "${correction.before ?? ''}" → "${correction.after ?? ''}"`,
+                metadata: { field: correction.field, before: correction.before, after: correction.after }
+            });
+        });
+
+        const decision = this._reevaluate(Storage.getDocumentById(documentId));
+
+        return {
+            success: true,
+            message: `Corrected ${corrections.length} field(s)`,
+            corrections,
+            decision
+        };
+    },
+
+    // Re-run the rules on a document under review. It stays with the human
+    // reviewer whatever the rules say; the outcome is kept in rulesRecheck,
+    // and the approval chain is rebuilt for the (possibly new) amount while
+    // keeping approvals already given at stages that still apply.
+    _reevaluate(document) {
+        // Corrected PO number, vendor or amount can change the registry match
+        const poMatch = Registry.matchInvoice(document);
+        document = { ...document, poMatch: poMatch || undefined };
+
+        const decision = this.evaluateRules(document);
+        const previous = document.approvalChain || this.buildApprovalChain(document);
+        const chain = this.buildApprovalChain(document);
+
+        chain.stages = chain.stages.map(stage => {
+            const existing = previous.stages.find(s => s.id === stage.id);
+            return existing ? { ...stage, approvals: existing.approvals, completedAt: existing.completedAt } : stage;
+        });
+
+        // Approval still needs a final signature even if the stage being
+        // worked on is no longer required
+        const current = previous.stages[previous.currentStage];
+        if (current && chain.stages.every(stage => stage.completedAt)) {
+            chain.stages.push(current);
+        }
+        const pending = chain.stages.findIndex(stage => !stage.completedAt);
+        chain.currentStage = pending === -1 ? chain.stages.length : pending;
+
+        // A review outcome replaces the original flag; an auto-approve or
+        // auto-reject outcome is only recorded for the reviewer to see
+        const flag = decision.status === 'needs-review'
+            ? { workflowReason: decision.reason, workflowRule: decision.ruleId || undefined, routedTo: decision.routedTo || undefined }
+            : {};
+
+        Storage.updateDocument(document.id, {
+            ...flag,
+            poMatch: poMatch || undefined,
+            approvalChain: chain,
+            rulesRecheck: {
+                status: decision.status,
+                reason: decision.reason,
+                ruleId: decision.ruleId,
+                checkedAt: new Date().toISOString()
+            }
+        });
+
+        return decision;
+    },
+
+    // [{ field, before, after }] for every field that differs
+    _diffFields(before, after) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys
+            .filter(key => (before[key] ?? '') !== (after[key] ?? ''))
+            .map(key => ({ field: key, before: before[key] ?? null, after: after[key] ?? null }));
+    },
+
+    // Rewrite the given date fields (see Dates.FIELDS) as ISO dates in place;
+    // throws for a value that isn't a date
+    _normalizeDates(fields, keys) {
+        keys.filter(key => Dates.FIELDS.includes(key) && fields[key]).forEach(key => {
+            const iso = Dates.parse(fields[key]);
+            if (!iso) {
+                throw new Error(`${key}: "${fields[key]}" is not a date`);
+            }
+            fields[key] = iso;
+        });
+    },
+
+    // Rewrite the given amount fields (see Currency.FIELDS), typed in the
+    // configured number format, in the stored "1,234.56" form in place; a
+    // currency symbol moves to the Currency field. Throws for a non-amount.
+    _normalizeAmounts(fields, keys) {
+        keys.filter(key => Currency.FIELDS.includes(key) && fields[key]).forEach(key => {
+            const parsed = Currency.parse(fields[key]);
+            if (!parsed) {
+                throw new Error(`${key}: "${fields[key]}" is not an amount`);
+            }
+            if (parsed.currency && !fields['Currency']) {
+                fields['Currency'] = parsed.currency;
+            }
+            const currency = (fields['Currency'] || Currency.getConfig().defaultCurrency).toUpperCase();
+            fields[key] = Currency.formatNumber(parsed.value, currency);
+        });
+    },
+
     // Get documents pending review
     getPendingReviews() {
         return Storage.getDocumentsByStatus('needs-review');
     },
 
-    // Get workflow statistics
-    getStatistics() {
-        const documents = Storage.getDocuments();
-
+    // Get workflow statistics (optionally over a subset of documents)
+    getStatistics(documents = Storage.getDocuments()) {
         return {
             total: documents.length,
             autoApproved: documents.filter(d => d.autoApproved).length,
@@ -269,6 +1072,7 @@ const Workflow = {
             pending: documents.filter(d => d.status === 'needs-review').length,
             approved: documents.filter(d => d.status === 'approved').length,
             rejected: documents.filter(d => d.status === 'rejected').length,
+            returned: documents.filter(d => d.status === 'returned').length,
             averageRiskScore: documents.length > 0
                 ? (documents.reduce((sum, d) => sum + (d.riskScore || 0), 0) / documents.length).toFixed(2)
                 : 0